@@ -0,0 +1,337 @@
+const snarkjs = require("snarkjs");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { sha256File } = require("./setup");
+const { writeSolidityContracts } = require("./solidity");
+
+const USAGE = `Usage: node ceremony.js <command> <circuit> [options]
+
+Phase-2 trusted setup ceremony for the Groth16 keys of a circuit compiled by setup.js (e.g.
+rsa_big_8); PLONK and FFLONK keys need none. The <circuit>_0000.zkey setup writes has no
+contributions: whoever ran setup knows its toxic waste and could forge proofs. Each participant adds a contribution, a public random beacon closes the
+ceremony, and verify checks the whole chain before exporting the keys the page uses.
+
+Every step runs offline on the ceremony directory (ceremony_<circuit>/ by default), which is
+passed from participant to participant. Each step leaves its zkey and a transcript file there.
+
+Commands:
+  init <circuit>          Start a ceremony from <circuit>_0000.zkey
+  contribute <circuit>    Add a contribution to the latest zkey
+      --name <name>         Participant name, recorded in the zkey and transcript (required)
+      --entropy-file <file> Extra entropy mixed with the system's randomness
+  beacon <circuit>        Apply the final random beacon; no contributions can follow it
+      --hash <hex>          Beacon value, e.g. a future block hash announced in advance (required)
+      --iterations <n>      2^n hash iterations of the beacon, 10 to 63 (default 10)
+  verify <circuit>        Verify the chain from the r1cs and ptau, then export <circuit>_final.zkey
+                          and verification_key_<circuit>.json and update the circuit's manifest
+      --ptau-dir <dir>      Where the ptau named in the manifest is (default .)
+      --solidity            Also export the Groth16 verifier and membership contracts (setup.js
+                            --solidity writes none for Groth16, whose key is only final here)
+
+  --dir <dir>             Ceremony directory (default ceremony_<circuit>)`;
+
+const BEACON_NAME = "Final beacon";
+
+function parseArgs(argv) {
+    const [command, circuit, ...rest] = argv;
+    if (!["init", "contribute", "beacon", "verify"].includes(command) || !circuit) {
+        throw new Error("Expected a command (init, contribute, beacon or verify) and a circuit name");
+    }
+    
+    const args = { command, circuit, iterations: 10, ptauDir: ".", solidity: false };
+    const valueOptions = { "--name": "name", "--entropy-file": "entropyFile", "--hash": "hash", "--iterations": "iterations", "--ptau-dir": "ptauDir", "--dir": "dir" };
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === "--solidity" && command === "verify") {
+            args.solidity = true;
+            continue;
+        }
+        if (!valueOptions[rest[i]] || i + 1 >= rest.length) {
+            throw new Error(`Unknown or incomplete option ${rest[i]}`);
+        }
+        args[valueOptions[rest[i]]] = rest[++i];
+    }
+    args.dir = args.dir || `ceremony_${circuit}`;
+    return args;
+}
+
+// Logger for snarkjs calls: errors are shown, info messages are kept for the caller
+function snarkjsLogger(messages = []) {
+    return { debug() {}, info: message => messages.push(message), warn: console.warn, error: console.error };
+}
+
+function zkeyFileName(circuit, index) {
+    return `${circuit}_${String(index).padStart(4, "0")}.zkey`;
+}
+
+function readTranscript(dir) {
+    /**
+     * Read a ceremony's transcript files (NNNN_<step>.json) in order and check they form a chain:
+     * numbered from 0000 with no gaps, init first, each step starting from the zkey the step
+     * before it produced, and nothing after the beacon.
+     *
+     * Returns:
+     *     array: the transcript entries, init first
+     */
+    if (!fs.existsSync(dir)) {
+        throw new Error(`No ceremony in ${dir}; start one with: node ceremony.js init <circuit>`);
+    }
+    
+    const steps = fs.readdirSync(dir)
+        .filter(file => /^\d{4}_\w+\.json$/.test(file))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+    steps.forEach((step, index) => {
+        if (step.index !== index) {
+            throw new Error(`Transcript step ${index} is missing from ${dir}`);
+        }
+        if ((index === 0) !== (step.step === "init")) {
+            throw new Error(`Transcript step ${index} is ${step.step}; a ceremony starts with init, and only once`);
+        }
+        if (index > 0 && step.previous.sha256 !== steps[index - 1].zkey.sha256) {
+            throw new Error(`Transcript step ${index} (${step.name}) did not start from the zkey step ${index - 1} produced`);
+        }
+        if (index > 0 && steps[index - 1].step === "beacon") {
+            throw new Error(`Transcript step ${index} follows the final beacon`);
+        }
+    });
+    if (steps.length === 0) {
+        throw new Error(`No transcript in ${dir}; start the ceremony with: node ceremony.js init <circuit>`);
+    }
+    return steps;
+}
+
+// Latest zkey of the ceremony, checked against the transcript entry that produced it
+async function latestZkey(dir, steps) {
+    const last = steps[steps.length - 1];
+    const file = path.join(dir, last.zkey.file);
+    if (!fs.existsSync(file)) {
+        throw new Error(`${file} is missing; it is the zkey the next step starts from`);
+    }
+    if (await sha256File(file) !== last.zkey.sha256) {
+        throw new Error(`${file} does not match transcript step ${last.index}`);
+    }
+    return { last, file };
+}
+
+function writeTranscriptStep(dir, entry) {
+    const file = path.join(dir, `${String(entry.index).padStart(4, "0")}_${entry.step}.json`);
+    fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+    return file;
+}
+
+async function init(args) {
+    const source = zkeyFileName(args.circuit, 0);
+    for (const file of [source, `${args.circuit}.r1cs`]) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`${file} not found; run node setup.js --circuits ${args.circuit} first`);
+        }
+    }
+    if (fs.existsSync(args.dir)) {
+        throw new Error(`${args.dir} already exists; a ceremony is only started once`);
+    }
+    
+    fs.mkdirSync(args.dir);
+    fs.copyFileSync(source, path.join(args.dir, source));
+    const transcript = writeTranscriptStep(args.dir, {
+        circuit: args.circuit,
+        index: 0,
+        step: "init",
+        time: new Date().toISOString(),
+        r1cs: { file: `${args.circuit}.r1cs`, sha256: await sha256File(`${args.circuit}.r1cs`) },
+        zkey: { file: source, sha256: await sha256File(source) }
+    });
+    console.log(`✅ Ceremony started in ${args.dir} (${transcript})`);
+}
+
+async function contribute(args) {
+    if (!args.name) {
+        throw new Error("--name is required");
+    }
+    const steps = readTranscript(args.dir);
+    const { last, file } = await latestZkey(args.dir, steps);
+    if (last.step === "beacon") {
+        throw new Error("The ceremony is closed: the final beacon has been applied");
+    }
+    
+    // snarkjs mixes this with its own randomness; a participant can add dice rolls, keyboard noise, ...
+    let entropy = crypto.randomBytes(64).toString("hex");
+    if (args.entropyFile) {
+        entropy += fs.readFileSync(args.entropyFile).toString("hex");
+    }
+    
+    const index = last.index + 1;
+    const output = zkeyFileName(args.circuit, index);
+    console.log(`🎲 Contributing as ${args.name} to ${file}...`);
+    const contributionHash = await snarkjs.zKey.contribute(file, path.join(args.dir, output), args.name, entropy, snarkjsLogger());
+    const transcript = writeTranscriptStep(args.dir, {
+        circuit: args.circuit,
+        index: index,
+        step: "contribution",
+        name: args.name,
+        time: new Date().toISOString(),
+        previous: last.zkey,
+        zkey: { file: output, sha256: await sha256File(path.join(args.dir, output)) },
+        contributionHash: Buffer.from(contributionHash).toString("hex")
+    });
+    console.log(`✅ Contribution ${index} written to ${path.join(args.dir, output)} (${transcript})`);
+    console.log(`   Contribution hash: ${Buffer.from(contributionHash).toString("hex")}`);
+    console.log("   Publish the contribution hash, then pass the ceremony directory on.");
+}
+
+async function beacon(args) {
+    if (!args.hash || !/^([0-9a-fA-F]{2})+$/.test(args.hash)) {
+        throw new Error("--hash must be a hexadecimal beacon value");
+    }
+    const steps = readTranscript(args.dir);
+    const { last, file } = await latestZkey(args.dir, steps);
+    if (last.step === "beacon") {
+        throw new Error("The final beacon has already been applied");
+    }
+    if (last.step === "init") {
+        throw new Error("No one has contributed yet; a beacon alone does not make the zkey trustworthy");
+    }
+    
+    const index = last.index + 1;
+    const output = zkeyFileName(args.circuit, index);
+    console.log(`🔔 Applying the beacon to ${file}...`);
+    const contributionHash = await snarkjs.zKey.beacon(file, path.join(args.dir, output), BEACON_NAME, args.hash, args.iterations, snarkjsLogger());
+    if (!contributionHash) {
+        throw new Error("snarkjs rejected the beacon (see above)");
+    }
+    const transcript = writeTranscriptStep(args.dir, {
+        circuit: args.circuit,
+        index: index,
+        step: "beacon",
+        name: BEACON_NAME,
+        time: new Date().toISOString(),
+        previous: last.zkey,
+        zkey: { file: output, sha256: await sha256File(path.join(args.dir, output)) },
+        beacon: { hash: args.hash.toLowerCase(), iterations: Number(args.iterations) },
+        contributionHash: Buffer.from(contributionHash).toString("hex")
+    });
+    console.log(`✅ Beacon applied: ${path.join(args.dir, output)} (${transcript})`);
+    console.log(`   Run: node ceremony.js verify ${args.circuit}`);
+}
+
+async function verify(args) {
+    const steps = readTranscript(args.dir);
+    const { last, file } = await latestZkey(args.dir, steps);
+    if (last.step !== "beacon") {
+        throw new Error("The ceremony is still open; apply the final beacon before verifying");
+    }
+    
+    // The circuit and ptau must be the ones the ceremony started from
+    const manifestFile = `manifest_${args.circuit}.json`;
+    if (!fs.existsSync(manifestFile)) {
+        throw new Error(`${manifestFile} not found; run node setup.js --circuits ${args.circuit} first`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+    const keys = manifest.protocols && manifest.protocols.groth16;
+    if (!keys) {
+        throw new Error(`${manifestFile} has no Groth16 keys; run node setup.js --circuits ${args.circuit} --protocols groth16 first`);
+    }
+    const r1csFile = steps[0].r1cs.file;
+    if (await sha256File(r1csFile) !== steps[0].r1cs.sha256) {
+        throw new Error(`${r1csFile} has changed since the ceremony started`);
+    }
+    const ptauFile = path.join(args.ptauDir, keys.ptau);
+    if (!fs.existsSync(ptauFile)) {
+        throw new Error(`${ptauFile} not found; verification needs the ptau the circuit was set up with`);
+    }
+    
+    // Intermediate zkeys may have been deleted, but any that are left must match the transcript
+    for (const step of steps.slice(0, -1)) {
+        const stepFile = path.join(args.dir, step.zkey.file);
+        if (fs.existsSync(stepFile) && await sha256File(stepFile) !== step.zkey.sha256) {
+            throw new Error(`${stepFile} does not match transcript step ${step.index}`);
+        }
+    }
+    
+    console.log(`🔍 Verifying ${file} against ${r1csFile} and ${ptauFile}...`);
+    const messages = [];
+    const valid = await snarkjs.zKey.verifyFromR1cs(r1csFile, ptauFile, file, snarkjsLogger(messages));
+    if (!valid) {
+        throw new Error("The zkey does not verify: the contribution chain is broken (see above)");
+    }
+    
+    // The contributions in the zkey (snarkjs lists them newest first as it verifies) must be the transcript's
+    const zkeyContributions = messages
+        .map(message => String(message).match(/^contribution #(\d+) (.*):\n([\s\S]*)$/))
+        .filter(match => match)
+        .sort((a, b) => Number(a[1]) - Number(b[1]))
+        .map(match => ({ name: match[2], hash: match[3].replace(/\s+/g, "") }));
+    const transcriptContributions = steps.slice(1).map(step => ({ name: step.name, hash: step.contributionHash }));
+    if (zkeyContributions.length !== transcriptContributions.length) {
+        throw new Error(`The zkey has ${zkeyContributions.length} contributions, but the transcript records ${transcriptContributions.length}`);
+    }
+    zkeyContributions.forEach((c, i) => {
+        const recorded = transcriptContributions[i];
+        if (c.name !== recorded.name || c.hash !== recorded.hash) {
+            throw new Error(`Contribution ${i + 1} in the zkey is "${c.name}" (${c.hash.slice(0, 16)}...), but the transcript records "${recorded.name}" (${recorded.hash.slice(0, 16)}...)`);
+        }
+    });
+    
+    // Only now export the keys the page uses, and point the manifest at them
+    const finalZkey = `${args.circuit}_final.zkey`;
+    const verificationKeyFile = `verification_key_${args.circuit}.json`;
+    fs.copyFileSync(file, finalZkey);
+    const vKey = await snarkjs.zKey.exportVerificationKey(finalZkey);
+    fs.writeFileSync(verificationKeyFile, JSON.stringify(vKey, null, 2));
+    
+    keys.zkey = { path: `./${finalZkey}`, sha256: await sha256File(finalZkey) };
+    keys.verificationKey = { path: `./${verificationKeyFile}`, sha256: await sha256File(verificationKeyFile) };
+    keys.ceremony = {
+        transcript: args.dir,
+        contributions: transcriptContributions.slice(0, -1).map(c => c.name),
+        beacon: last.beacon
+    };
+    if (args.solidity || keys.solidity) {
+        // The verifier contract embeds the verification key, so it changes with the zkey
+        const contracts = await writeSolidityContracts(manifest, "groth16", finalZkey);
+        keys.solidity = {
+            verifier: { path: `./${contracts.verifier}`, sha256: await sha256File(contracts.verifier) },
+            membership: { path: `./${contracts.membership}`, sha256: await sha256File(contracts.membership) }
+        };
+    }
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+    
+    const transcript = path.join(args.dir, "verification.json");
+    fs.writeFileSync(transcript, JSON.stringify({
+        circuit: args.circuit,
+        step: "verification",
+        time: new Date().toISOString(),
+        r1cs: steps[0].r1cs,
+        ptau: { file: keys.ptau, sha256: await sha256File(ptauFile) },
+        zkey: last.zkey,
+        contributions: transcriptContributions,
+        verificationKey: keys.verificationKey
+    }, null, 2));
+    
+    console.log(`✅ Chain of ${transcriptContributions.length - 1} contributions and the beacon verified (${transcript})`);
+    console.log(`   Exported ${finalZkey} and ${verificationKeyFile}${keys.solidity ? " and the Solidity contracts" : ""}; ${manifestFile} now points at them`);
+}
+
+if (require.main === module) {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    const commands = { init, contribute, beacon, verify };
+    commands[args.command](args).then(() => process.exit(0)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    init,
+    contribute,
+    beacon,
+    verify
+};
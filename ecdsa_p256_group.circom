@@ -0,0 +1,51 @@
+pragma circom 2.1.6;
+
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/multiplexer.circom";
+include "node_modules/circom-ecdsa-p256/circuits/ecdsa.circom";
+
+template ECDSAP256GroupVerify(size, n, k) {
+    // Proves an ECDSA P-256 signature (r, s) over msghash by one of the public keys,
+    // without revealing which. Every value is k little-endian chunks of n bits - must match
+    // prepareECDSACircuitInputs in app.js
+    signal input pubkeys[size][2][k];
+    signal input msghash[k];
+    signal input r[k];
+    signal input s[k];
+    signal input index;
+
+    // The public keys and message hash are rebuilt by the verifier; the private
+    // signature chunks are range-checked here
+    component rBits[k];
+    component sBits[k];
+    for (var j = 0; j < k; j++) {
+        rBits[j] = Num2Bits(n);
+        rBits[j].in <== r[j];
+        sBits[j] = Num2Bits(n);
+        sBits[j].in <== s[j];
+    }
+
+    component muxKey = Multiplexer(2 * k, size);
+    for (var i = 0; i < size; i++) {
+        for (var j = 0; j < k; j++) {
+            muxKey.inp[i][j] <== pubkeys[i][0][j];
+            muxKey.inp[i][k + j] <== pubkeys[i][1][j];
+        }
+    }
+    muxKey.sel <== index;
+
+    // Public keys come from published SSH keys, so the on-curve check is left out
+    component verifier = ECDSAVerifyNoPubkeyCheck(n, k);
+    for (var j = 0; j < k; j++) {
+        verifier.r[j] <== r[j];
+        verifier.s[j] <== s[j];
+        verifier.msghash[j] <== msghash[j];
+        verifier.pubkey[0][j] <== muxKey.out[j];
+        verifier.pubkey[1][j] <== muxKey.out[k + j];
+    }
+    verifier.result === 1;
+}
+
+// No main component here: setup.js generates ecdsa_p256_group_<size>.circom for each size
+// in CIRCUIT_SIZES, which includes this file and instantiates
+// component main {public [pubkeys, msghash]} = ECDSAP256GroupVerify(<size>, 43, 6);
@@ -0,0 +1,50 @@
+pragma circom 2.1.6;
+
+include "node_modules/circomlib/circuits/multiplexer.circom";
+include "node_modules/ed25519-circom/circuits/verify.circom";
+
+template Ed25519GroupVerify(size, msgBits) {
+    // Proves an Ed25519 signature over msg by one of the public keys, without revealing which.
+    // Bits are little-endian within each byte and coordinates are 3 x 85-bit chunks,
+    // as ed25519-circom expects - must match prepareEd25519CircuitInputs in app.js
+    signal input keys[size][256];
+    signal input msg[msgBits];
+    signal input R8[256];
+    signal input S[255];
+    signal input PointA[4][3];
+    signal input PointR[4][3];
+    signal input index;
+
+    component muxKey = Multiplexer(256, size);
+    for (var i = 0; i < size; i++) {
+        for (var j = 0; j < 256; j++) {
+            muxKey.inp[i][j] <== keys[i][j];
+        }
+    }
+    muxKey.sel <== index;
+
+    // The verifier also checks that PointA compresses to the selected key bits
+    component verifier = Ed25519Verifier(msgBits);
+    for (var j = 0; j < msgBits; j++) {
+        verifier.msg[j] <== msg[j];
+    }
+    for (var j = 0; j < 256; j++) {
+        verifier.A[j] <== muxKey.out[j];
+        verifier.R8[j] <== R8[j];
+    }
+    for (var j = 0; j < 255; j++) {
+        verifier.S[j] <== S[j];
+    }
+    for (var i = 0; i < 4; i++) {
+        for (var j = 0; j < 3; j++) {
+            verifier.PointA[i][j] <== PointA[i][j];
+            verifier.PointR[i][j] <== PointR[i][j];
+        }
+    }
+    verifier.out === 1;
+}
+
+// No main component here: setup.js generates ed25519_group_<bytes>b_<size>.circom for each
+// signed-data length in ED25519_SIGNED_DATA_LENGTHS and size in CIRCUIT_SIZES, which includes
+// this file and instantiates
+// component main {public [keys, msg]} = Ed25519GroupVerify(<size>, <bytes> * 8);
@@ -0,0 +1,441 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+const solc = require("solc");
+const { createEVM } = require("@ethereumjs/evm");
+const { hexToBytes, bytesToHex } = require("@ethereumjs/util");
+const { AbiCoder, Interface, solidityPackedKeccak256 } = require("ethers");
+const snarkjs = require("snarkjs");
+const app = require("./node_app");
+const { VERIFIER_CONTRACTS, getKeySetLayout } = require("./solidity");
+const setup = require("./setup");
+const ceremony = require("./ceremony");
+
+const USAGE = `Usage: node evm_test.js
+       node evm_test.js [--message <file>] --keys <file> (--proof <file> | --signature <file>) [options]
+
+Without options, builds a small RSA group circuit (one 16-bit key) in a temporary directory with
+setup.js and a Groth16 ceremony, proves with it in Groth16 and PLONK, and checks the proofs with
+the exported contracts as below. Needs circom, but no files from an earlier setup.
+
+With options, checks a group membership proof with the Solidity contracts from node setup.js --solidity (for
+Groth16, node ceremony.js verify --solidity), in an in-process EVM (no chain, no network):
+deploys the circuit's verifier and membership contract, commits the key set, and verifies the
+proof through verifySSHProof with the contract as the proof verifier. Then checks that the
+contract rejects changed signals, a different key set and a key set that was never committed.
+
+  --message <file>      The signed message (not for --format jwt or dkim)
+  --keys <file>         Group public keys (.pub lines, authorized_keys, known_hosts, JWKS, ...)
+  --proof <file>        Proof JSON from prove.js or the page
+  --signature <file>    Or an SSH signature (ssh-keygen -Y sign) to prove with generateZKProofFromSSH first
+  --namespace <name>    SSHSIG namespace (default ${app.DEFAULT_SSH_NAMESPACE})
+  --format <kind>       With --proof: the kind of signature to accept, ssh (default), openpgp, jwt
+                        or dkim; OpenPGP signatures have no namespace, JWT and DKIM proofs have no message
+  --claims <json>       With --format jwt: claims the proof must reveal, e.g. '{"aud":"my-app"}'
+  --headers <json>      With --format dkim: header fields the proof must reveal, e.g. '{"subject":"Hi"}'
+  --proof-type <type>   With --signature: list (default) or merkle
+  --protocol <name>     With --signature: ${app.SNARK_PROTOCOLS.join(", ")} (default ${app.DEFAULT_SNARK_PROTOCOL})`;
+
+function parseArgs(argv) {
+    const args = { namespace: app.DEFAULT_SSH_NAMESPACE, format: "ssh", proofType: "list", protocol: app.DEFAULT_SNARK_PROTOCOL };
+    const valueOptions = { "--message": "message", "--keys": "keys", "--proof": "proof", "--signature": "signature", "--namespace": "namespace", "--format": "format", "--claims": "claims", "--headers": "headers", "--proof-type": "proofType", "--protocol": "protocol" };
+    for (let i = 0; i < argv.length; i++) {
+        if (valueOptions[argv[i]] && i + 1 < argv.length) {
+            args[valueOptions[argv[i]]] = argv[++i];
+        } else {
+            throw new Error(`Unknown or incomplete option ${argv[i]}`);
+        }
+    }
+    if (!args.keys || (!args.message && !["jwt", "dkim"].includes(args.format))) {
+        throw new Error("--keys is required, and --message unless --format is jwt or dkim");
+    }
+    if (!args.proof === !args.signature) {
+        throw new Error("Give either --proof or --signature");
+    }
+    if (!["ssh", "openpgp", "jwt", "dkim"].includes(args.format)) {
+        throw new Error(`--format expects ssh, openpgp, jwt or dkim, got "${args.format}"`);
+    }
+    if (args.format !== "ssh" && args.signature) {
+        throw new Error("--signature makes an SSH signature proof; --format is for --proof");
+    }
+    if (args.claims !== undefined) {
+        if (args.format !== "jwt") {
+            throw new Error("--claims is only for --format jwt");
+        }
+        try {
+            args.claims = JSON.parse(args.claims);
+        } catch (error) {
+            throw new Error(`--claims expects a JSON object: ${error.message}`);
+        }
+    }
+    if (args.headers !== undefined) {
+        if (args.format !== "dkim") {
+            throw new Error("--headers is only for --format dkim");
+        }
+        try {
+            args.headers = JSON.parse(args.headers);
+        } catch (error) {
+            throw new Error(`--headers expects a JSON object: ${error.message}`);
+        }
+    }
+    if (!app.SNARK_PROTOCOLS.includes(args.protocol)) {
+        throw new Error(`--protocol expects ${app.SNARK_PROTOCOLS.join(", ")}, got "${args.protocol}"`);
+    }
+    return args;
+}
+
+// Compile a circuit's verifier and membership contracts, as listed in its manifest in circuitDir
+function compileContracts(manifest, protocol, circuitDir = __dirname) {
+    const keys = manifest.protocols && manifest.protocols[protocol];
+    if (!keys || !keys.solidity) {
+        const command = protocol === "groth16"
+            ? `node ceremony.js verify ${manifest.name} --solidity (after the ceremony)`
+            : `node setup.js --circuits ${manifest.name} --protocols ${protocol} --solidity`;
+        throw new Error(`manifest_${manifest.name}.json lists no ${protocol} Solidity contracts; run ${command}`);
+    }
+    const sources = {};
+    for (const entry of [keys.solidity.verifier, keys.solidity.membership]) {
+        sources[path.basename(entry.path)] = { content: fs.readFileSync(path.join(circuitDir, entry.path), "utf8") };
+    }
+    const output = JSON.parse(solc.compile(JSON.stringify({
+        language: "Solidity",
+        sources: sources,
+        settings: { optimizer: { enabled: true, runs: 200 }, outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } } }
+    })));
+    const errors = (output.errors || []).filter(error => error.severity === "error");
+    if (errors.length > 0) {
+        throw new Error(`solc: ${errors.map(error => error.formattedMessage).join("\n")}`);
+    }
+    const contract = (file, name) => {
+        const compiled = output.contracts[path.basename(file.path)][name];
+        return { abi: new Interface(compiled.abi), bytecode: compiled.evm.bytecode.object };
+    };
+    return {
+        verifier: contract(keys.solidity.verifier, VERIFIER_CONTRACTS[protocol].name),
+        membership: contract(keys.solidity.membership, "MembershipVerifier")
+    };
+}
+
+// Revert reason of a failed call, when the contract gave one with require(..., "reason")
+function revertReason(returnValue) {
+    const data = bytesToHex(returnValue);
+    const errorSelector = "0x08c379a0";
+    if (!data.startsWith(errorSelector)) {
+        return "no reason given";
+    }
+    return AbiCoder.defaultAbiCoder().decode(["string"], "0x" + data.slice(errorSelector.length))[0];
+}
+
+async function deployContract(evm, contract, args = []) {
+    const data = "0x" + contract.bytecode + contract.abi.encodeDeploy(args).slice(2);
+    const result = await evm.runCall({ data: hexToBytes(data), gasLimit: 30000000n });
+    if (result.execResult.exceptionError) {
+        throw new Error(`Deployment reverted: ${result.execResult.exceptionError.error}`);
+    }
+    return result.createdAddress;
+}
+
+async function callContract(evm, address, contract, method, args) {
+    /**
+     * Call a contract function (state changes are kept, as in a transaction)
+     *
+     * Returns:
+     *     object: {value, gasUsed}, value being the function's single return value
+     */
+    const result = await evm.runCall({
+        to: address,
+        data: hexToBytes(contract.abi.encodeFunctionData(method, args)),
+        gasLimit: 30000000n
+    });
+    if (result.execResult.exceptionError) {
+        throw new Error(`${method} reverted: ${revertReason(result.execResult.returnValue)}`);
+    }
+    const value = contract.abi.decodeFunctionResult(method, bytesToHex(result.execResult.returnValue))[0];
+    return { value, gasUsed: result.execResult.executionGasUsed };
+}
+
+// The proof as the membership contract's proof argument: the words snarkjs would pass to the
+// verifier contract, ABI-encoded as the verifier's proof parameters
+async function encodeProof(protocol, proof) {
+    // fflonk takes its call data arguments the other way round
+    const callData = protocol === "fflonk"
+        ? await snarkjs.fflonk.exportSolidityCallData([], proof)
+        : await snarkjs[protocol].exportSolidityCallData(proof, []);
+    const words = callData.match(/0x[0-9a-fA-F]+/g);
+    const proofTypes = VERIFIER_CONTRACTS[protocol].proofTypes;
+    if (protocol === "groth16") {
+        return AbiCoder.defaultAbiCoder().encode(proofTypes, [words.slice(0, 2), [words.slice(2, 4), words.slice(4, 6)], words.slice(6, 8)]);
+    }
+    return AbiCoder.defaultAbiCoder().encode(proofTypes, [words]);
+}
+
+// Name under which the membership contract stores a key set
+function keySetHash(keySignals) {
+    return solidityPackedKeccak256(["uint256[]"], [keySignals]);
+}
+
+function createOnChainVerifier(evm, circuitDir = __dirname) {
+    /**
+     * A verifySSHProof proofVerifier backed by the Solidity contracts: deploys each circuit's
+     * contracts (from its manifest in circuitDir) on first use, commits the key-set signals and
+     * checks the proof with the rest
+     *
+     * Returns:
+     *     object: {proofVerifier, checks}; checks records each call as
+     *             {membership, contract, proof, keySignals, signals, valid, gasUsed}
+     */
+    const deployments = {};
+    const checks = [];
+    
+    const deploy = async (circuitName, protocol) => {
+        const id = `${circuitName}/${protocol}`;
+        if (!deployments[id]) {
+            const manifest = JSON.parse(fs.readFileSync(path.join(circuitDir, `manifest_${circuitName}.json`), "utf8"));
+            const contracts = compileContracts(manifest, protocol, circuitDir);
+            const verifierAddress = await deployContract(evm, contracts.verifier);
+            const membershipAddress = await deployContract(evm, contracts.membership, [verifierAddress.toString()]);
+            console.log(`📜 Deployed ${VERIFIER_CONTRACTS[protocol].name} for ${circuitName} at ${verifierAddress} and MembershipVerifier at ${membershipAddress}`);
+            deployments[id] = { layout: getKeySetLayout(manifest), address: membershipAddress, contract: contracts.membership };
+        }
+        return deployments[id];
+    };
+    
+    const proofVerifier = async (circuitName, protocol, publicSignals, proof) => {
+        const { layout, address, contract } = await deploy(circuitName, protocol);
+        if (publicSignals.length !== layout.total) {
+            throw new Error(`${circuitName} has ${layout.total} public signals, got ${publicSignals.length}`);
+        }
+        const keySignals = publicSignals.slice(layout.offset, layout.offset + layout.count);
+        const signals = [...publicSignals.slice(0, layout.offset), ...publicSignals.slice(layout.offset + layout.count)];
+        
+        const committed = await callContract(evm, address, contract, "commitKeySet", [keySignals]);
+        if (committed.value !== keySetHash(keySignals)) {
+            throw new Error(`commitKeySet named the key set ${committed.value}, expected ${keySetHash(keySignals)}`);
+        }
+        const encodedProof = await encodeProof(protocol, proof);
+        const { value, gasUsed } = await callContract(evm, address, contract, "verifyMembership", [encodedProof, committed.value, signals]);
+        checks.push({ membership: address, contract, proof: encodedProof, keySignals, signals, valid: value, gasUsed });
+        return value;
+    };
+    
+    return { proofVerifier, checks };
+}
+
+async function checkRejections(evm, check) {
+    /**
+     * Re-run an accepted on-chain check with changed inputs, each of which the contract must reject
+     *
+     * Returns:
+     *     array: descriptions of the changes the contract did not reject
+     */
+    const failures = [];
+    const verify = (hash, signals) => callContract(evm, check.membership, check.contract, "verifyMembership", [check.proof, hash, signals]);
+    const bump = (values, i) => values.map((value, j) => j === i ? (BigInt(value) + 1n).toString() : value);
+    
+    const expectRejected = (accepted, change) => {
+        if (accepted) {
+            failures.push(`${change} was accepted`);
+        } else {
+            console.log(`✅ ${change[0].toUpperCase()}${change.slice(1)} rejected`);
+        }
+    };
+    
+    // A changed message signal
+    expectRejected((await verify(keySetHash(check.keySignals), bump(check.signals, check.signals.length - 1))).value, "a changed public signal");
+    
+    // A different group, committed like any other
+    const other = await callContract(evm, check.membership, check.contract, "commitKeySet", [bump(check.keySignals, 0)]);
+    expectRejected((await verify(other.value, check.signals)).value, "a different key set");
+    
+    // A key set nobody committed
+    let uncommittedAccepted = true;
+    try {
+        await verify(keySetHash(bump(check.keySignals, 1)), check.signals);
+    } catch (error) {
+        if (!error.message.includes("key set not committed")) {
+            throw error;
+        }
+        uncommittedAccepted = false;
+    }
+    expectRejected(uncommittedAccepted, "an uncommitted key set");
+    return failures;
+}
+
+// The self-test's circuit: rsa_big_1 with 8-bit chunks, for one 16-bit key with e = 3
+const TEST_CIRCUIT_PARAMS = { sizes: [1], depths: [], chunkBits: 8, chunks: 2, exponentBits: 2, ed25519Lengths: [] };
+const TEST_CIRCUIT = "rsa_big_1";
+// Powers of tau the self-test generates; PLONK needs 2^11 for the test circuit
+const TEST_PTAU_POWER = 11;
+const TEST_PROTOCOLS = ["groth16", "plonk"];
+
+// A 16-bit RSA signature, as the test circuit's inputs: e = 3 as bits, values in 8-bit chunks
+// (least significant first)
+function createTestInput() {
+    const p = 251n;
+    const q = 239n;
+    const modulus = p * q;
+    // 3d = 1 mod (p-1)(q-1), which is 1 mod 3
+    const d = (2n * (p - 1n) * (q - 1n) + 1n) / 3n;
+    const message = 12345n;
+    let signature = 1n;
+    for (let bit = d, base = message; bit > 0n; bit >>= 1n, base = base * base % modulus) {
+        if (bit & 1n) {
+            signature = signature * base % modulus;
+        }
+    }
+    const chunks = value => [(value & 0xffn).toString(), (value >> 8n).toString()];
+    return { e: [["1", "1"]], N: [chunks(modulus)], message: chunks(message), sig: chunks(signature), index: "0" };
+}
+
+// Powers of tau from one local contribution, named like the Hermez files setup looks for. Good
+// enough for keys thrown away after the test, never for real ones.
+async function createTestPtau(power) {
+    const curve = await snarkjs.curves.getCurveFromName("bn128");
+    await snarkjs.powersOfTau.newAccumulator(curve, power, "pot_0000.ptau");
+    await snarkjs.powersOfTau.contribute("pot_0000.ptau", "pot_0001.ptau", "evm_test", crypto.randomBytes(32).toString("hex"));
+    await snarkjs.powersOfTau.preparePhase2("pot_0001.ptau", `powersOfTau28_hez_final_${power}.ptau`);
+}
+
+async function buildTestCircuit() {
+    /**
+     * Set up the test circuit in the current directory the way setup.js --solidity and a
+     * ceremony would: compile it, generate its keys and contracts, and run the Groth16 ceremony
+     * (one contribution, a beacon, verify --solidity)
+     *
+     * Returns:
+     *     object: the circuit's manifest
+     */
+    try {
+        execFileSync("circom", ["--version"], { stdio: "pipe" });
+    } catch (error) {
+        throw new Error("Circom not found. Please install circom first: https://docs.circom.io/getting-started/installation/");
+    }
+    const circuitDef = setup.circuitDefinitions(TEST_CIRCUIT_PARAMS).find(c => c.name === TEST_CIRCUIT);
+    console.log(`🔧 Compiling ${TEST_CIRCUIT} in ${process.cwd()}...`);
+    const circuitName = setup.writeCircuitEntryPoint(circuitDef);
+    // The templates and their circomlib includes are found from this directory, as in setup.js
+    execFileSync("circom", [path.resolve(`${circuitName}.circom`), "--r1cs", "--wasm", "--sym", "-o", process.cwd(), "-l", __dirname], { cwd: __dirname, stdio: "pipe" });
+    const r1cs = setup.readR1csHeader(`${circuitName}.r1cs`);
+    
+    console.log(`🎲 Generating powers of tau (2^${TEST_PTAU_POWER})...`);
+    await createTestPtau(TEST_PTAU_POWER);
+    const keys = {};
+    for (const protocol of TEST_PROTOCOLS) {
+        keys[protocol] = await setup.generateKeys(protocol, circuitName, r1cs, ".");
+    }
+    await setup.writeCircuitManifest(circuitDef, r1cs, keys, true);
+    
+    await ceremony.init(ceremony.parseArgs(["init", circuitName]));
+    await ceremony.contribute(ceremony.parseArgs(["contribute", circuitName, "--name", "evm_test"]));
+    await ceremony.beacon(ceremony.parseArgs(["beacon", circuitName, "--hash", crypto.randomBytes(32).toString("hex")]));
+    await ceremony.verify(ceremony.parseArgs(["verify", circuitName, "--solidity"]));
+    return JSON.parse(fs.readFileSync(`manifest_${circuitName}.json`, "utf8"));
+}
+
+async function selfTest() {
+    const startDir = process.cwd();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "evm_test_"));
+    const failures = [];
+    try {
+        process.chdir(dir);
+        const manifest = await buildTestCircuit();
+        
+        const evm = await createEVM();
+        const onChain = createOnChainVerifier(evm, dir);
+        const input = createTestInput();
+        for (const protocol of TEST_PROTOCOLS) {
+            const keys = manifest.protocols[protocol];
+            const { proof, publicSignals } = await snarkjs[protocol].fullProve(input, manifest.files.wasm.path, keys.zkey.path);
+            const vKey = JSON.parse(fs.readFileSync(keys.verificationKey.path, "utf8"));
+            if (!await snarkjs[protocol].verify(vKey, publicSignals, proof)) {
+                throw new Error(`The ${protocol} test proof does not verify off-chain`);
+            }
+            if (!await onChain.proofVerifier(TEST_CIRCUIT, protocol, publicSignals, proof)) {
+                failures.push(`the ${protocol} proof was not accepted on-chain`);
+                continue;
+            }
+            const check = onChain.checks[onChain.checks.length - 1];
+            console.log(`✅ ${protocol} proof verified on-chain by the membership contract (${check.gasUsed} gas)`);
+            failures.push(...(await checkRejections(evm, check)).map(failure => `${protocol}: ${failure}`));
+        }
+    } finally {
+        process.chdir(startDir);
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    
+    if (failures.length > 0) {
+        throw new Error(`The membership contract is unsound: ${failures.join("; ")}`);
+    }
+    console.log("\n✅ All on-chain checks passed");
+}
+
+async function main() {
+    if (process.argv.length <= 2) {
+        return await selfTest();
+    }
+    const args = parseArgs(process.argv.slice(2));
+    const message = args.message ? fs.readFileSync(args.message, "utf8") : null;
+    const keyList = app.importSSHKeyList(fs.readFileSync(args.keys, "utf8"));
+    keyList.warnings.forEach(warning => console.log(`⚠️ Key list ${warning.lineNumber !== null ? `line ${warning.lineNumber}: ` : ""}${warning.message}`));
+    const sshPublicKeys = keyList.keys.map(key => key.publicKey);
+    if (sshPublicKeys.length === 0) {
+        throw new Error(`No supported public keys in ${args.keys}`);
+    }
+    
+    let proofData;
+    if (args.signature) {
+        const signature = fs.readFileSync(args.signature, "utf8");
+        // Circuit files are looked up in this directory, wherever the command is run from
+        process.chdir(__dirname);
+        const result = await app.generateZKProofFromSSH(signature, message, sshPublicKeys, args.namespace, { proofType: args.proofType, protocol: args.protocol });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        proofData = app.buildSSHProofEnvelope(result);
+    } else {
+        proofData = JSON.parse(fs.readFileSync(args.proof, "utf8"));
+        process.chdir(__dirname);
+    }
+    
+    const evm = await createEVM();
+    const onChain = createOnChainVerifier(evm);
+    let verification;
+    if (args.format === "jwt") {
+        verification = await app.verifyJWTProof(proofData, sshPublicKeys, { proofVerifier: onChain.proofVerifier, expectedClaims: args.claims });
+    } else if (args.format === "dkim") {
+        verification = await app.verifyDKIMProof(proofData, sshPublicKeys, { proofVerifier: onChain.proofVerifier, expectedHeaders: args.headers });
+    } else {
+        verification = await app.verifySSHProof(proofData, message, sshPublicKeys, args.namespace, { proofVerifier: onChain.proofVerifier, allowOpenPGP: args.format === "openpgp" });
+    }
+    if (!verification.success) {
+        throw new Error(`The proof was not accepted on-chain (${verification.failedCheck}): ${verification.error}`);
+    }
+    const check = onChain.checks[onChain.checks.length - 1];
+    console.log(`✅ Proof verified on-chain by the ${proofData.protocol || app.DEFAULT_SNARK_PROTOCOL} membership contract (${check.gasUsed} gas)`);
+    
+    const failures = await checkRejections(evm, check);
+    if (failures.length > 0) {
+        throw new Error(`The membership contract is unsound: ${failures.join("; ")}`);
+    }
+    console.log("\n✅ All on-chain checks passed");
+}
+
+if (require.main === module) {
+    main().then(() => process.exit(0)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    compileContracts,
+    deployContract,
+    callContract,
+    encodeProof,
+    keySetHash,
+    createOnChainVerifier,
+    checkRejections
+};
@@ -0,0 +1,141 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("assert");
+const { execFileSync } = require("child_process");
+const snarkjs = require("snarkjs");
+
+// Checks which JWT payload members JWTPayloadClaims in rsa_jwt.circom lets a proof reveal: members
+// directly in the payload object pass, and members of nested objects, text inside strings and
+// partial members are refused. Compiles a small instance of the template with circom in a temporary
+// directory and computes witnesses; needs circom, but no setup, ptau or keys.
+
+// Token characters, claims and claim bytes of the test instance
+const TOKEN_CHARS = 128;
+const NUM_CLAIMS = 2;
+const MAX_CLAIM_BYTES = 32;
+
+const HEADER = Buffer.from(JSON.stringify({ alg: "RS256" })).toString("base64url");
+
+function compileCircuit(dir) {
+    try {
+        execFileSync("circom", ["--version"], { stdio: "pipe" });
+    } catch (error) {
+        throw new Error("Circom not found. Please install circom first: https://docs.circom.io/getting-started/installation/");
+    }
+    const source = path.join(dir, "jwt_payload_claims.circom");
+    fs.writeFileSync(source, `pragma circom 2.1.6;
+
+include "rsa_jwt.circom";
+
+component main = JWTPayloadClaims(${TOKEN_CHARS}, ${NUM_CLAIMS}, ${MAX_CLAIM_BYTES});
+`);
+    // rsa_jwt.circom and its circomlib includes are found from the repository directory, as in setup.js
+    execFileSync("circom", [source, "--wasm", "-o", dir, "-l", __dirname], { cwd: __dirname, stdio: "pipe" });
+    return path.join(dir, "jwt_payload_claims_js", "jwt_payload_claims.wasm");
+}
+
+function buildInput(payload, members) {
+    /**
+     * JWTPayloadClaims inputs revealing members of payload, each found by its text
+     *
+     * Args:
+     *     payload: The payload JSON text
+     *     members: [{text, occurrence}], the occurrence-th (default 0) place text appears
+     */
+    const token = Buffer.from(`${HEADER}.${Buffer.from(payload).toString("base64url")}`);
+    assert.ok(token.length <= TOKEN_CHARS, "test token too long for the test circuit");
+    const claims = [];
+    const claimLengths = [];
+    const memberStarts = [];
+    for (let c = 0; c < NUM_CLAIMS; c++) {
+        const bytes = new Array(MAX_CLAIM_BYTES).fill(0);
+        if (c < members.length) {
+            const { text, occurrence = 0 } = members[c];
+            let start = -1;
+            for (let i = 0; i <= occurrence; i++) {
+                start = payload.indexOf(text, start + 1);
+            }
+            assert.ok(start > 0, `"${text}" is not in the payload`);
+            Buffer.from(text).forEach((byte, i) => { bytes[i] = byte; });
+            claimLengths.push(Buffer.byteLength(text));
+            memberStarts.push(Buffer.byteLength(payload.slice(0, start)));
+        } else {
+            claimLengths.push(0);
+            memberStarts.push(1);
+        }
+        claims.push(bytes);
+    }
+    return {
+        token: [...token, ...new Array(TOKEN_CHARS - token.length).fill(0)],
+        payloadStart: HEADER.length + 1,
+        claims,
+        claimLengths,
+        memberStarts
+    };
+}
+
+// Whether the circuit accepts revealing these members (a failed constraint stops the witness)
+async function accepts(wasmFile, payload, members) {
+    try {
+        await snarkjs.wtns.calculate(buildInput(payload, members), wasmFile, { type: "mem" });
+        return true;
+    } catch (error) {
+        if (/Assert Failed/.test(error.message)) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// [name, payload, members, whether the circuit must accept them]
+const CASES = [
+    ["Top-level members", '{"sub":"alice","ext":{"admin":true}}', [{ text: '"sub":"alice"' }, { text: '"ext":{"admin":true}' }], true],
+    ["Member of a nested object", '{"sub":"alice","ext":{"admin":true}}', [{ text: '"admin":true' }], false],
+    ["Nested member next to a top-level one", '{"sub":"alice","ext":{"admin":true}}', [{ text: '"sub":"alice"' }, { text: '"admin":true' }], false],
+    ["Nested member after a closing brace inside a string", '{"note":"} {","admin":false,"n":{"admin":true}}', [{ text: '"admin":false' }], true],
+    ["Nested member after a closing brace inside a string (nested)", '{"note":"} {","admin":false,"n":{"admin":true}}', [{ text: '"admin":true' }], false],
+    ["Escaped quote inside a string", '{"q":"\\"}","admin":1}', [{ text: '"admin":1' }], true],
+    ["Escaped backslash ending a string", '{"q":"\\\\","w":{"admin":true}}', [{ text: '"q":"\\\\"' }], true],
+    ["Escaped backslash ending a string (nested)", '{"q":"\\\\","w":{"admin":true}}', [{ text: '"admin":true' }], false],
+    ["Text inside a string", '{"q":"x,\\"admin\\":true"}', [{ text: '\\"admin\\":true' }], false],
+    ["Prefix of a longer value", '{"aud":"app-2"}', [{ text: '"aud":"app' }], false],
+    // A top-level string value passes the circuit; parseRevealedClaims in app.js refuses it, as a claim must parse as one member
+    ["Bare string value", '{"sub": "alice"}', [{ text: '"alice"' }], true],
+    ["Bare number value", '{"n":1}', [{ text: '1' }], false],
+    ["Member spanning into a nested object", '{"a":1,"n":{"b":2}}', [{ text: '"a":1,"n":{"b":2' }], false]
+];
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jwt_claim_test_"));
+    const failures = [];
+    try {
+        console.log(`🔧 Compiling JWTPayloadClaims(${TOKEN_CHARS}, ${NUM_CLAIMS}, ${MAX_CLAIM_BYTES}) in ${dir}...`);
+        const wasmFile = compileCircuit(dir);
+
+        for (const [name, payload, members, expected] of CASES) {
+            try {
+                const accepted = await accepts(wasmFile, payload, members);
+                assert.strictEqual(accepted, expected, `the circuit ${accepted ? "accepts" : "refuses"} ${members.map(m => m.text).join(" and ")}`);
+                console.log(`✅ ${name}: ${expected ? "accepted" : "refused"}`);
+            } catch (error) {
+                console.log(`❌ ${name}: ${error.message}`);
+                failures.push(name);
+            }
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    if (failures.length > 0) {
+        throw new Error(`${failures.length} of ${CASES.length} JWT claim checks failed`);
+    }
+    console.log(`\n✅ All ${CASES.length} JWT claim checks passed`);
+}
+
+if (require.main === module) {
+    main().then(() => process.exit(0)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
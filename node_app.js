@@ -0,0 +1,22 @@
+const fs = require("fs");
+const path = require("path");
+
+// app.js is written for the page: it expects snarkjs and the SSH wire codec (ssh_wire.js) as
+// globals and fetches circuit files by relative URL, so serve those from this directory
+globalThis.snarkjs = require("snarkjs");
+Object.assign(globalThis, require("./ssh_wire"));
+globalThis.fetch = async url => {
+    const file = path.join(__dirname, url);
+    if (!fs.existsSync(file)) {
+        return { ok: false };
+    }
+    const data = fs.readFileSync(file);
+    return {
+        ok: true,
+        arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.length),
+        text: async () => data.toString("utf8"),
+        json: async () => JSON.parse(data.toString("utf8"))
+    };
+};
+
+module.exports = require("./app.js");
@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const { requestIdentities, agentSign } = require("./ssh_agent");
+const app = require("./node_app");
+
+// Keep stdout for the proof JSON; app.js reports its progress with console.log
+const printResult = text => process.stdout.write(text + "\n");
+console.log = console.error;
+
+const USAGE = `Usage: node prove.js --message <file> --keys <file> [options]
+
+Signs the message with a key held by ssh-agent (SSH_AUTH_SOCK) and proves that one of the
+keys in the group signed it, without revealing which. The proof JSON goes to stdout.
+
+  --message <file>      Message to sign
+  --keys <file>         Group public keys (.pub lines, authorized_keys, known_hosts, JWKS, ...)
+  --namespace <name>    SSHSIG namespace (default ${app.DEFAULT_SSH_NAMESPACE})
+  --key <text>          Use the agent key whose comment or public key contains <text>
+                        (default: the first agent key that is in the group)
+  --proof-type <type>   list (default) or merkle
+  --protocol <name>     Proving system: ${app.SNARK_PROTOCOLS.join(", ")} (default ${app.DEFAULT_SNARK_PROTOCOL});
+                        the circuit needs keys for it (node setup.js --protocols)
+  --sha256              Sign ssh-rsa keys with rsa-sha2-256 instead of rsa-sha2-512
+  --socket <path>       Agent socket (default SSH_AUTH_SOCK)
+  --out <file>          Write the proof JSON to a file instead of stdout`;
+
+function parseArgs(argv) {
+    const args = { namespace: app.DEFAULT_SSH_NAMESPACE, proofType: "list", protocol: app.DEFAULT_SNARK_PROTOCOL, socket: process.env.SSH_AUTH_SOCK };
+    const valueOptions = { "--message": "message", "--keys": "keys", "--namespace": "namespace", "--key": "key", "--proof-type": "proofType", "--protocol": "protocol", "--socket": "socket", "--out": "out" };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--sha256") {
+            args.sha256 = true;
+        } else if (valueOptions[argv[i]] && i + 1 < argv.length) {
+            args[valueOptions[argv[i]]] = argv[++i];
+        } else {
+            throw new Error(`Unknown or incomplete option ${argv[i]}`);
+        }
+    }
+    if (!args.message || !args.keys) {
+        throw new Error("--message and --keys are required");
+    }
+    if (!app.SNARK_PROTOCOLS.includes(args.protocol)) {
+        throw new Error(`--protocol expects ${app.SNARK_PROTOCOLS.join(", ")}, got "${args.protocol}"`);
+    }
+    if (args.out) {
+        args.out = path.resolve(args.out);
+    }
+    return args;
+}
+
+// SSHSIG signature over the message from an agent key, as ssh-keygen -Y sign would write it
+async function signWithAgent(message, identity, namespace, signatureAlgorithm, socketPath) {
+    const hashAlgorithm = "sha512";
+    const signedData = await app.buildSSHSignedData(message, namespace, hashAlgorithm);
+    const signatureBlob = await agentSign(identity.keyBlob, signedData, signatureAlgorithm, socketPath);
+    return app.buildSSHSIGArmor(identity.keyBlob, namespace, hashAlgorithm, signatureBlob);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const message = fs.readFileSync(args.message, "utf8");
+    const keyList = app.importSSHKeyList(fs.readFileSync(args.keys, "utf8"));
+    keyList.warnings.forEach(warning => console.error(`⚠️ Key list ${warning.lineNumber !== null ? `line ${warning.lineNumber}: ` : ""}${warning.message}`));
+    const sshPublicKeys = keyList.keys.map(key => key.publicKey);
+    if (sshPublicKeys.length === 0) {
+        throw new Error(`No supported public keys in ${args.keys}`);
+    }
+    
+    // Pick the agent key to sign with
+    const identities = await requestIdentities(args.socket);
+    const inGroup = identity => sshPublicKeys.includes(identity.publicKey);
+    const identity = args.key
+        ? identities.find(candidate => candidate.comment.includes(args.key) || candidate.publicKey.includes(args.key))
+        : identities.find(inGroup);
+    if (!identity) {
+        throw new Error(args.key
+            ? `No ssh-agent key matches "${args.key}" (${identities.length} keys loaded)`
+            : `None of the ${identities.length} ssh-agent keys is in the group`);
+    }
+    if (!inGroup(identity)) {
+        throw new Error(`ssh-agent key ${identity.comment || identity.publicKey} is not in the group`);
+    }
+    console.error(`🔑 Signing with ssh-agent key ${identity.comment || identity.publicKey}`);
+    
+    const signature = await signWithAgent(message, identity, args.namespace, args.sha256 ? "rsa-sha2-256" : "rsa-sha2-512", args.socket);
+    
+    // Circuit files are looked up in this directory, wherever the command is run from
+    process.chdir(__dirname);
+    const result = await app.generateZKProofFromSSH(signature, message, sshPublicKeys, args.namespace, { proofType: args.proofType, protocol: args.protocol });
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    
+    const proofJson = JSON.stringify(app.buildSSHProofEnvelope(result), null, 2);
+    if (args.out) {
+        fs.writeFileSync(args.out, proofJson);
+        console.error(`✅ Proof written to ${args.out}`);
+    } else {
+        printResult(proofJson);
+    }
+}
+
+if (require.main === module) {
+    main().then(() => process.exit(0)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    });
+}
+
+module.exports = { signWithAgent };
@@ -159,7 +159,9 @@ template Main() {
 //b = 11
 //c = 97
 
-component main {public [e, N, message]} = GroupVerify(3, 120, 35, 17);
+// No main component here: setup.js generates rsa_big_<size>.circom for each group size
+// in CIRCUIT_SIZES, which includes this file and instantiates
+// component main {public [e, N, message]} = GroupVerify(<size>, 120, 35, 17);
 
 /* INPUT = {
     "sig": ["1", "1", "0"],
@@ -0,0 +1,273 @@
+pragma circom 2.1.6;
+
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/comparators.circom";
+include "sha256_message.circom";
+include "rsa_big.circom";
+
+template PKCS1SHA512MessageVarLength(n, k) {
+    // EMSA-PKCS1-v1_5 message integer for a SHA-512 digest (most significant byte first) and a
+    // private emLength-byte modulus: 00 01 FF..FF 00 DigestInfo digest. n must be a multiple of 8.
+    var bytes = n * k \ 8;
+    var digestInfo[19] = [0x30, 0x51, 0x30, 0x0d, 0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x02, 0x03, 0x05, 0x00, 0x04, 0x40];
+    signal input digest[64];
+    signal input emLength;
+    signal output message[k];
+
+    component digestBits[64];
+    for (var i = 0; i < 64; i++) {
+        digestBits[i] = Num2Bits(8);
+        digestBits[i].in <== digest[i];
+    }
+
+    // At least 8 bytes of FF padding (RFC 8017, section 9.2), and no longer than the chunks
+    component longEnough = GreaterEqThan(address_bits(bytes) + 1);
+    longEnough.in[0] <== emLength;
+    longEnough.in[1] <== 64 + 19 + 11;
+    longEnough.out === 1;
+    component fits = LessEqThan(address_bits(bytes) + 1);
+    fits.in[0] <== emLength;
+    fits.in[1] <== bytes;
+    fits.out === 1;
+
+    // Encoded bytes, least significant first
+    signal em[bytes];
+    component isPadding[bytes];
+    component isMarker[bytes];
+    for (var i = 0; i < bytes; i++) {
+        if (i < 64) {
+            em[i] <== digest[63 - i];
+        } else if (i < 64 + 19) {
+            em[i] <== digestInfo[18 - (i - 64)];
+        } else if (i == 64 + 19) {
+            em[i] <== 0;
+        } else {
+            isPadding[i] = LessThan(address_bits(bytes) + 1);
+            isPadding[i].in[0] <== i;
+            isPadding[i].in[1] <== emLength - 2;
+            isMarker[i] = IsEqual();
+            isMarker[i].in[0] <== i;
+            isMarker[i].in[1] <== emLength - 2;
+            em[i] <== 255 * isPadding[i].out + isMarker[i].out;
+        }
+    }
+
+    for (var j = 0; j < k; j++) {
+        var chunk = 0;
+        for (var b = 0; b < n \ 8; b++) {
+            chunk += em[(n \ 8) * j + b] * (1 << (8 * b));
+        }
+        message[j] <== chunk;
+    }
+}
+
+template CertificateVerify(n, k, exp_bits, maxBlocks, maxPrincipalBytes) {
+    // The hidden key of an ssh-rsa-cert-v01@openssh.com user certificate signed message, and the
+    // public CA key (caE, caN) signed that certificate (rsa-sha2-256), valid at validAt.
+    // The user key is read from the certificate itself, so only the CA key and the message are public.
+    // cert is the signed part of the certificate blob (everything before the signature) followed by
+    // SHA-256 padding - must match prepareCertificateCircuitInputs in app.js. Certificate fields:
+    // string type, string nonce, mpint e, mpint n, uint64 serial, uint32 type, string key id,
+    // string principals, uint64 valid after, uint64 valid before, ... (PROTOCOL.certkeys)
+    var len = 64 * maxBlocks;
+    var modulusBytes = n * k \ 8;
+    signal input caSig[k];
+    signal input caE[exp_bits];
+    signal input caN[k];
+    signal input caEncodingPrefix[k];
+    signal input messageDigest[64];
+    signal input validAt;
+    signal input revealPrincipals;
+    signal input principals[maxPrincipalBytes];
+    signal input principalsLength;
+    signal input cert[len];
+    signal input certLength;
+    signal input certBlocks;
+    signal input sig[k];
+
+    // CA signature over the certificate; Sha256Padded range-checks the cert bytes
+    component initialState = Sha256InitialState();
+    component sha = Sha256Padded(maxBlocks);
+    for (var i = 0; i < 256; i++) {
+        sha.midstate[i] <== initialState.out[i];
+    }
+    sha.prefixLength <== 0;
+    for (var i = 0; i < len; i++) {
+        sha.data[i] <== cert[i];
+    }
+    sha.length <== certLength;
+    sha.numBlocks <== certBlocks;
+
+    component caMessage = PKCS1SHA256Message(n, k);
+    for (var j = 0; j < k; j++) {
+        caMessage.encodingPrefix[j] <== caEncodingPrefix[j];
+    }
+    for (var i = 0; i < 256; i++) {
+        caMessage.digest[i] <== sha.digest[i];
+    }
+
+    component caExp = BigModExp(n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        caExp.a[j] <== caSig[j];
+        caExp.c[j] <== caN[j];
+    }
+    for (var j = 0; j < exp_bits; j++) {
+        caExp.b[j] <== caE[j];
+    }
+    for (var j = 0; j < k; j++) {
+        caMessage.message[j] === caExp.out[j];
+    }
+
+    // string "ssh-rsa-cert-v01@openssh.com"
+    var header[32] = [0, 0, 0, 28, 115, 115, 104, 45, 114, 115, 97, 45, 99, 101, 114, 116, 45, 118, 48, 49, 64, 111, 112, 101, 110, 115, 115, 104, 46, 99, 111, 109];
+    for (var i = 0; i < 32; i++) {
+        cert[i] === header[i];
+    }
+
+    // Walk the length fields from the nonce to the validity window; every offset goes through a
+    // VarShiftLeft, whose Num2Bits bounds it
+    var nonceLength = cert[32] * 16777216 + cert[33] * 65536 + cert[34] * 256 + cert[35];
+    component eField = VarShiftLeft(len, 11);
+    eField.shift <== 36 + nonceLength;
+    for (var i = 0; i < len; i++) {
+        eField.in[i] <== cert[i];
+    }
+
+    // e is an mpint of 1 to 3 bytes (below 2^exp_bits)
+    signal eLength <== eField.out[0] * 16777216 + eField.out[1] * 65536 + eField.out[2] * 256 + eField.out[3];
+    component eLengthIs[3];
+    for (var t = 0; t < 3; t++) {
+        eLengthIs[t] = IsEqual();
+        eLengthIs[t].in[0] <== eLength;
+        eLengthIs[t].in[1] <== t + 1;
+    }
+    eLengthIs[0].out + eLengthIs[1].out + eLengthIs[2].out === 1;
+    signal eTerms[3];
+    eTerms[0] <== eLengthIs[0].out * eField.out[4];
+    eTerms[1] <== eLengthIs[1].out * (eField.out[4] * 256 + eField.out[5]);
+    eTerms[2] <== eLengthIs[2].out * (eField.out[4] * 65536 + eField.out[5] * 256 + eField.out[6]);
+    component eBits = Num2Bits(exp_bits);
+    eBits.in <== eTerms[0] + eTerms[1] + eTerms[2];
+
+    component nLengthField = VarShiftLeft(11, 4);
+    nLengthField.shift <== 4 + eLength;
+    for (var i = 0; i < 11; i++) {
+        nLengthField.in[i] <== eField.out[i];
+    }
+    signal nLength <== nLengthField.out[0] * 16777216 + nLengthField.out[1] * 65536 + nLengthField.out[2] * 256 + nLengthField.out[3];
+    signal nStart <== 36 + nonceLength + 4 + eLength + 4;
+
+    component nFits = LessEqThan(address_bits(modulusBytes) + 1);
+    nFits.in[0] <== nLength;
+    nFits.in[1] <== modulusBytes;
+    nFits.out === 1;
+
+    // n: cut its bytes out, then reverse and shift them so they are least significant first
+    component nField = VarShiftLeft(len, modulusBytes);
+    nField.shift <== nStart;
+    for (var i = 0; i < len; i++) {
+        nField.in[i] <== cert[i];
+    }
+    component nAligned = VarShiftLeft(modulusBytes, modulusBytes);
+    nAligned.shift <== modulusBytes - nLength;
+    for (var i = 0; i < modulusBytes; i++) {
+        nAligned.in[i] <== nField.out[modulusBytes - 1 - i];
+    }
+    signal userN[k];
+    for (var j = 0; j < k; j++) {
+        var chunk = 0;
+        for (var b = 0; b < n \ 8; b++) {
+            chunk += nAligned.out[(n \ 8) * j + b] * (1 << (8 * b));
+        }
+        userN[j] <== chunk;
+    }
+
+    // A positive mpint has a leading zero byte when its top bit is set; the modulus length excludes it
+    component leadingZero = IsZero();
+    leadingZero.in <== nField.out[0];
+    signal emLength <== nLength - leadingZero.out;
+
+    // uint64 serial, uint32 type (1 = user certificate), string key id
+    signal serialStart <== nStart + nLength;
+    component typeField = VarShiftLeft(len, 16);
+    typeField.shift <== serialStart;
+    for (var i = 0; i < len; i++) {
+        typeField.in[i] <== cert[i];
+    }
+    typeField.out[8] * 16777216 + typeField.out[9] * 65536 + typeField.out[10] * 256 + typeField.out[11] === 1;
+    signal keyIdLength <== typeField.out[12] * 16777216 + typeField.out[13] * 65536 + typeField.out[14] * 256 + typeField.out[15];
+
+    // string principals: revealed as the raw field (a list of strings), or all zero when hidden
+    signal principalsStart <== serialStart + 16 + keyIdLength;
+    component principalsField = VarShiftLeft(len, 4 + maxPrincipalBytes);
+    principalsField.shift <== principalsStart;
+    for (var i = 0; i < len; i++) {
+        principalsField.in[i] <== cert[i];
+    }
+    signal fieldLength <== principalsField.out[0] * 16777216 + principalsField.out[1] * 65536 + principalsField.out[2] * 256 + principalsField.out[3];
+
+    revealPrincipals * (1 - revealPrincipals) === 0;
+    principalsLength === revealPrincipals * fieldLength;
+    component principalsFit = LessEqThan(32);
+    principalsFit.in[0] <== principalsLength;
+    principalsFit.in[1] <== maxPrincipalBytes;
+    principalsFit.out === 1;
+    component inPrincipals[maxPrincipalBytes];
+    for (var i = 0; i < maxPrincipalBytes; i++) {
+        inPrincipals[i] = LessThan(32);
+        inPrincipals[i].in[0] <== i;
+        inPrincipals[i].in[1] <== principalsLength;
+        principals[i] === inPrincipals[i].out * principalsField.out[4 + i];
+    }
+
+    // uint64 valid after, uint64 valid before: valid after <= validAt < valid before, as sshd checks
+    signal validityStart <== principalsStart + 4 + fieldLength;
+    component validityField = VarShiftLeft(len, 16);
+    validityField.shift <== validityStart;
+    for (var i = 0; i < len; i++) {
+        validityField.in[i] <== cert[i];
+    }
+    component inCertificate = LessEqThan(address_bits(len) + 2);
+    inCertificate.in[0] <== validityStart + 16;
+    inCertificate.in[1] <== certLength;
+    inCertificate.out === 1;
+
+    var validAfter = 0;
+    var validBefore = 0;
+    for (var i = 0; i < 8; i++) {
+        validAfter = validAfter * 256 + validityField.out[i];
+        validBefore = validBefore * 256 + validityField.out[8 + i];
+    }
+    component validAtBits = Num2Bits(64);
+    validAtBits.in <== validAt;
+    component notBefore = LessEqThan(64);
+    notBefore.in[0] <== validAfter;
+    notBefore.in[1] <== validAt;
+    notBefore.out === 1;
+    component notAfter = LessThan(64);
+    notAfter.in[0] <== validAt;
+    notAfter.in[1] <== validBefore;
+    notAfter.out === 1;
+
+    // The certified key signed the message (rsa-sha2-512)
+    component message = PKCS1SHA512MessageVarLength(n, k);
+    for (var i = 0; i < 64; i++) {
+        message.digest[i] <== messageDigest[i];
+    }
+    message.emLength <== emLength;
+
+    component userExp = BigModExp(n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        userExp.a[j] <== sig[j];
+        userExp.c[j] <== userN[j];
+    }
+    for (var j = 0; j < exp_bits; j++) {
+        userExp.b[j] <== eBits.out[j];
+    }
+    for (var j = 0; j < k; j++) {
+        message.message[j] === userExp.out[j];
+    }
+}
+
+// No main component here: setup.js generates rsa_cert_ca.circom, which includes this file and instantiates
+// component main {public [caE, caN, caEncodingPrefix, messageDigest, validAt, revealPrincipals, principals, principalsLength]} = CertificateVerify(120, 35, 17, 24, 64);
@@ -0,0 +1,163 @@
+pragma circom 2.1.6;
+
+include "node_modules/circomlib/circuits/comparators.circom";
+include "sha256_message.circom";
+include "rsa_big.circom";
+
+template DKIMBlank() {
+    // out is 1 when in is a space or a tab, the bytes that fold a header line
+    signal input in;
+    signal output out;
+
+    component isSpace = IsEqual();
+    isSpace.in[0] <== in;
+    isSpace.in[1] <== 32;
+    component isTab = IsEqual();
+    isTab.in[0] <== in;
+    isTab.in[1] <== 9;
+    out <== isSpace.out + isTab.out;
+}
+
+template DKIMHeader(len, maxHeaderBytes) {
+    // header (headerLength bytes) is a whole header field of the DKIM signed data, starting at
+    // byte headerStart: a line starts there (at the start of the data or after a LF) with a
+    // non-blank byte, and it ends at a CRLF followed by a non-blank byte, so not at a folded
+    // line. The DKIM-Signature field comes last with no CRLF after it, so neither it nor a line
+    // folded in it can be revealed. headerLength 0 reveals nothing and disables the checks.
+    signal input data[len];
+    signal input dataLength;
+    signal input headerStart;
+    signal input header[maxHeaderBytes];
+    signal input headerLength;
+
+    component isEmpty = IsZero();
+    isEmpty.in <== headerLength;
+    signal enabled <== 1 - isEmpty.out;
+
+    component lengthFits = LessEqThan(8);
+    lengthFits.in[0] <== headerLength;
+    lengthFits.in[1] <== maxHeaderBytes;
+    lengthFits.out === 1;
+
+    // The field with the byte before it (a LF, which the data start counts as) and the CRLF and
+    // byte after it; VarShiftLeft range-checks headerStart
+    signal lines[len + 1];
+    lines[0] <== 10;
+    for (var i = 0; i < len; i++) {
+        lines[i + 1] <== data[i];
+    }
+    component aligned = VarShiftLeft(len + 1, maxHeaderBytes + 4);
+    aligned.shift <== headerStart;
+    for (var i = 0; i <= len; i++) {
+        aligned.in[i] <== lines[i];
+    }
+
+    // The field bytes, zero past headerLength so the public encoding is unique
+    component inHeader[maxHeaderBytes];
+    for (var i = 0; i < maxHeaderBytes; i++) {
+        inHeader[i] = LessThan(8);
+        inHeader[i].in[0] <== i;
+        inHeader[i].in[1] <== headerLength;
+        inHeader[i].out * (aligned.out[i + 1] - header[i]) === 0;
+        (1 - inHeader[i].out) * header[i] === 0;
+    }
+
+    enabled * (aligned.out[0] - 10) === 0;
+    component firstBlank = DKIMBlank();
+    firstBlank.in <== aligned.out[1];
+    enabled * firstBlank.out === 0;
+
+    component after[3];
+    for (var j = 0; j < 3; j++) {
+        after[j] = ByteAt(maxHeaderBytes + 4);
+        after[j].pos <== headerLength + 1 + j;
+        for (var i = 0; i < maxHeaderBytes + 4; i++) {
+            after[j].in[i] <== aligned.out[i];
+        }
+    }
+    enabled * (after[0].out - 13) === 0;
+    enabled * (after[1].out - 10) === 0;
+    component nextBlank = DKIMBlank();
+    nextBlank.in <== after[2].out;
+    enabled * nextBlank.out === 0;
+
+    // ... and the byte after the CRLF is still signed data, not SHA-256 padding
+    component inData = LessThan(16);
+    inData.in[0] <== headerStart + headerLength + 2;
+    inData.in[1] <== dataLength;
+    enabled * (1 - inData.out) === 0;
+}
+
+template DKIMGroupVerify(size, n, k, exp_bits, maxBlocks, numHeaders, maxHeaderBytes) {
+    // GroupVerify for a DKIM rsa-sha256 email signature: the signed data (the canonicalized h=
+    // header fields, then the DKIM-Signature field with an empty b=) stays private with the
+    // signature, so the signing domain, selector and body hash do not leave the prover. Only the
+    // chosen header fields and the key list are public.
+    // data is the signed data followed by SHA-256 padding - must match prepareDKIMCircuitInputs in app.js
+    var len = 64 * maxBlocks;
+    signal input sig[k];
+    signal input e[size][exp_bits];
+    signal input N[size][k];
+    signal input encodingPrefix[k];
+    signal input headers[numHeaders][maxHeaderBytes];
+    signal input headerLengths[numHeaders];
+    signal input data[len];
+    signal input dataLength;
+    signal input dataBlocks;
+    signal input headerStarts[numHeaders];
+    signal input index;
+
+    // Sha256Padded range-checks the data bytes
+    component initialState = Sha256InitialState();
+    component sha = Sha256Padded(maxBlocks);
+    for (var i = 0; i < 256; i++) {
+        sha.midstate[i] <== initialState.out[i];
+    }
+    sha.prefixLength <== 0;
+    for (var i = 0; i < len; i++) {
+        sha.data[i] <== data[i];
+    }
+    sha.length <== dataLength;
+    sha.numBlocks <== dataBlocks;
+
+    component headerChecks[numHeaders];
+    for (var h = 0; h < numHeaders; h++) {
+        headerChecks[h] = DKIMHeader(len, maxHeaderBytes);
+        for (var i = 0; i < len; i++) {
+            headerChecks[h].data[i] <== data[i];
+        }
+        headerChecks[h].dataLength <== dataLength;
+        headerChecks[h].headerStart <== headerStarts[h];
+        for (var i = 0; i < maxHeaderBytes; i++) {
+            headerChecks[h].header[i] <== headers[h][i];
+        }
+        headerChecks[h].headerLength <== headerLengths[h];
+    }
+
+    component message = PKCS1SHA256Message(n, k);
+    for (var j = 0; j < k; j++) {
+        message.encodingPrefix[j] <== encodingPrefix[j];
+    }
+    for (var i = 0; i < 256; i++) {
+        message.digest[i] <== sha.digest[i];
+    }
+
+    component verify = GroupVerify(size, n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        verify.message[j] <== message.message[j];
+        verify.sig[j] <== sig[j];
+    }
+    for (var i = 0; i < size; i++) {
+        for (var j = 0; j < exp_bits; j++) {
+            verify.e[i][j] <== e[i][j];
+        }
+        for (var j = 0; j < k; j++) {
+            verify.N[i][j] <== N[i][j];
+        }
+    }
+    verify.index <== index;
+}
+
+// No main component here: setup.js generates rsa_dkim_<size>.circom for each size in
+// CIRCUIT_SIZES, which includes this file and instantiates
+// component main {public [e, N, encodingPrefix, headers, headerLengths]} = DKIMGroupVerify(<size>, 120, 35, 17, 24, 2, 128);
@@ -0,0 +1,290 @@
+pragma circom 2.1.6;
+
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/comparators.circom";
+include "sha256_message.circom";
+include "rsa_big.circom";
+
+template Base64UrlValue() {
+    // 6-bit value of a base64url character (RFC 4648, section 5); any other byte gives 0.
+    // in must already be a byte.
+    signal input in;
+    signal output out;
+
+    var lows[5] = [65, 97, 48, 45, 95];    // A, a, 0, -, _
+    var highs[5] = [90, 122, 57, 45, 95];  // Z, z, 9, -, _
+    var offsets[5] = [-65, -71, 4, 17, -32]; // value = byte + offset
+    component atLeast[5];
+    component atMost[5];
+    signal inRange[5];
+    signal terms[5];
+    var sum = 0;
+    for (var r = 0; r < 5; r++) {
+        atLeast[r] = GreaterEqThan(8);
+        atLeast[r].in[0] <== in;
+        atLeast[r].in[1] <== lows[r];
+        atMost[r] = LessEqThan(8);
+        atMost[r].in[0] <== in;
+        atMost[r].in[1] <== highs[r];
+        inRange[r] <== atLeast[r].out * atMost[r].out;
+        terms[r] <== inRange[r] * (in + offsets[r]);
+        sum += terms[r];
+    }
+    out <== sum;
+}
+
+template JSONBoundary(bracket) {
+    // When enabled, in must be bracket ('{' before a member, '}' after it), ',' or JSON whitespace
+    signal input in;
+    signal input enabled;
+
+    var allowed[6] = [bracket, 44, 32, 9, 10, 13];
+    signal product[6];
+    product[0] <== in - allowed[0];
+    for (var i = 1; i < 6; i++) {
+        product[i] <== product[i - 1] * (in - allowed[i]);
+    }
+    enabled * product[5] === 0;
+}
+
+template JSONTopLevel(len) {
+    // topLevel[i] is 1 when byte i of a JSON object sits directly in it: at depth 1 and outside
+    // any string. Quotes inside strings are escaped, and an escaped backslash escapes nothing.
+    // Structural characters are ASCII, so the UTF-8 bytes are scanned as they are.
+    signal input in[len];
+    signal output topLevel[len];
+
+    signal depth[len + 1];
+    signal inString[len + 1];
+    signal escaped[len + 1];
+    depth[0] <== 0;
+    inString[0] <== 0;
+    escaped[0] <== 0;
+
+    var chars[6] = [34, 92, 123, 91, 125, 93]; // " \ { [ } ]
+    component is[len][6];
+    signal unescaped[len];
+    signal quoteOutside[len];
+    signal quoteInside[len];
+    signal bracket[len];
+    component atLevel[len];
+    for (var i = 0; i < len; i++) {
+        for (var c = 0; c < 6; c++) {
+            is[i][c] = IsEqual();
+            is[i][c].in[0] <== in[i];
+            is[i][c].in[1] <== chars[c];
+        }
+        // A string character no backslash escapes: a quote ends the string, a backslash escapes the next one
+        unescaped[i] <== inString[i] * (1 - escaped[i]);
+        escaped[i + 1] <== unescaped[i] * is[i][1].out;
+        quoteOutside[i] <== (1 - inString[i]) * is[i][0].out;
+        quoteInside[i] <== unescaped[i] * is[i][0].out;
+        inString[i + 1] <== inString[i] + quoteOutside[i] - quoteInside[i];
+        bracket[i] <== (1 - inString[i]) * (is[i][2].out + is[i][3].out - is[i][4].out - is[i][5].out);
+        depth[i + 1] <== depth[i] + bracket[i];
+
+        // depth 1 and outside a string, the only way 2 * depth + inString is 2
+        atLevel[i] = IsZero();
+        atLevel[i].in <== 2 * depth[i] + inString[i] - 2;
+        topLevel[i] <== atLevel[i].out;
+    }
+}
+
+template JWTClaim(len, maxClaimBytes) {
+    // claim (claimLength bytes) is a member of the decoded payload, starting at byte memberStart.
+    // It sits directly in the payload object (topLevel at its first byte and at the byte after
+    // it), so it cannot be a member of a nested object or part of a string, and has a member
+    // boundary on both sides, so it cannot be a prefix of a longer value. claimLength 0 reveals
+    // nothing and disables the checks; memberStart must still be at least 1.
+    signal input payload[len];
+    signal input topLevel[len];
+    signal input memberStart;
+    signal input claim[maxClaimBytes];
+    signal input claimLength;
+
+    component isEmpty = IsZero();
+    isEmpty.in <== claimLength;
+    signal enabled <== 1 - isEmpty.out;
+
+    component lengthFits = LessEqThan(8);
+    lengthFits.in[0] <== claimLength;
+    lengthFits.in[1] <== maxClaimBytes;
+    lengthFits.out === 1;
+
+    // The member with the byte before it ('{', ',' or whitespace) and the bytes after it
+    component aligned = VarShiftLeft(len, maxClaimBytes + 2);
+    aligned.shift <== memberStart - 1;
+    for (var i = 0; i < len; i++) {
+        aligned.in[i] <== payload[i];
+    }
+
+    // The member bytes, zero past claimLength so the public encoding is unique
+    component inClaim[maxClaimBytes];
+    for (var i = 0; i < maxClaimBytes; i++) {
+        inClaim[i] = LessThan(8);
+        inClaim[i].in[0] <== i;
+        inClaim[i].in[1] <== claimLength;
+        inClaim[i].out * (aligned.out[i + 1] - claim[i]) === 0;
+        (1 - inClaim[i].out) * claim[i] === 0;
+    }
+
+    component before = JSONBoundary(123);
+    before.in <== aligned.out[0];
+    before.enabled <== enabled;
+
+    component afterByte = ByteAt(maxClaimBytes + 2);
+    afterByte.pos <== claimLength + 1;
+    for (var i = 0; i < maxClaimBytes + 2; i++) {
+        afterByte.in[i] <== aligned.out[i];
+    }
+    component after = JSONBoundary(125);
+    after.in <== afterByte.out;
+    after.enabled <== enabled;
+
+    component startLevel = ByteAt(len);
+    component endLevel = ByteAt(len);
+    startLevel.pos <== memberStart;
+    endLevel.pos <== memberStart + claimLength;
+    for (var i = 0; i < len; i++) {
+        startLevel.in[i] <== topLevel[i];
+        endLevel.in[i] <== topLevel[i];
+    }
+    enabled * (1 - startLevel.out) === 0;
+    enabled * (1 - endLevel.out) === 0;
+}
+
+template JWTPayloadClaims(len, numClaims, maxClaimBytes) {
+    // The claims are members directly in the JWT payload: the base64url part of token that
+    // follows the '.' at payloadStart - 1, decoded here. Bytes decoded past it come from the
+    // SHA-256 padding, which cannot decode to a bracket, so they stay at depth 0.
+    var payloadBytes = 3 * len \ 4;
+    signal input token[len];
+    signal input payloadStart;
+    signal input claims[numClaims][maxClaimBytes];
+    signal input claimLengths[numClaims];
+    signal input memberStarts[numClaims];
+
+    // The payload follows the '.' after the header (base64url has no '.')
+    component dot = ByteAt(len);
+    dot.pos <== payloadStart - 1;
+    for (var i = 0; i < len; i++) {
+        dot.in[i] <== token[i];
+    }
+    dot.out === 46;
+
+    component chars = VarShiftLeft(len, len);
+    chars.shift <== payloadStart;
+    for (var i = 0; i < len; i++) {
+        chars.in[i] <== token[i];
+    }
+
+    // Decode it: four 6-bit values per three bytes, most significant bits first
+    component values[len];
+    component valueBits[len];
+    for (var i = 0; i < len; i++) {
+        values[i] = Base64UrlValue();
+        values[i].in <== chars.out[i];
+        valueBits[i] = Num2Bits(6);
+        valueBits[i].in <== values[i].out;
+    }
+    signal payload[payloadBytes];
+    for (var m = 0; m < payloadBytes; m++) {
+        var byte = 0;
+        for (var q = 0; q < 8; q++) {
+            var bit = 8 * m + q;
+            byte += valueBits[bit \ 6].out[5 - bit % 6] * (1 << (7 - q));
+        }
+        payload[m] <== byte;
+    }
+
+    component levels = JSONTopLevel(payloadBytes);
+    for (var m = 0; m < payloadBytes; m++) {
+        levels.in[m] <== payload[m];
+    }
+
+    component claimChecks[numClaims];
+    for (var c = 0; c < numClaims; c++) {
+        claimChecks[c] = JWTClaim(payloadBytes, maxClaimBytes);
+        for (var m = 0; m < payloadBytes; m++) {
+            claimChecks[c].payload[m] <== payload[m];
+            claimChecks[c].topLevel[m] <== levels.topLevel[m];
+        }
+        claimChecks[c].memberStart <== memberStarts[c];
+        for (var i = 0; i < maxClaimBytes; i++) {
+            claimChecks[c].claim[i] <== claims[c][i];
+        }
+        claimChecks[c].claimLength <== claimLengths[c];
+    }
+}
+
+template JWTGroupVerify(size, n, k, exp_bits, maxBlocks, numClaims, maxClaimBytes) {
+    // GroupVerify for a compact RS256 JWT: the signing input (header.payload) and signature stay
+    // private, and only the chosen payload members (claims) and the key list are public.
+    // token is the signing input followed by SHA-256 padding - must match prepareJWTCircuitInputs in app.js
+    var len = 64 * maxBlocks;
+    signal input sig[k];
+    signal input e[size][exp_bits];
+    signal input N[size][k];
+    signal input encodingPrefix[k];
+    signal input claims[numClaims][maxClaimBytes];
+    signal input claimLengths[numClaims];
+    signal input token[len];
+    signal input tokenLength;
+    signal input tokenBlocks;
+    signal input payloadStart;
+    signal input memberStarts[numClaims];
+    signal input index;
+
+    // Sha256Padded range-checks the token bytes
+    component initialState = Sha256InitialState();
+    component sha = Sha256Padded(maxBlocks);
+    for (var i = 0; i < 256; i++) {
+        sha.midstate[i] <== initialState.out[i];
+    }
+    sha.prefixLength <== 0;
+    for (var i = 0; i < len; i++) {
+        sha.data[i] <== token[i];
+    }
+    sha.length <== tokenLength;
+    sha.numBlocks <== tokenBlocks;
+
+    component payload = JWTPayloadClaims(len, numClaims, maxClaimBytes);
+    for (var i = 0; i < len; i++) {
+        payload.token[i] <== token[i];
+    }
+    payload.payloadStart <== payloadStart;
+    for (var c = 0; c < numClaims; c++) {
+        for (var i = 0; i < maxClaimBytes; i++) {
+            payload.claims[c][i] <== claims[c][i];
+        }
+        payload.claimLengths[c] <== claimLengths[c];
+        payload.memberStarts[c] <== memberStarts[c];
+    }
+
+    component message = PKCS1SHA256Message(n, k);
+    for (var j = 0; j < k; j++) {
+        message.encodingPrefix[j] <== encodingPrefix[j];
+    }
+    for (var i = 0; i < 256; i++) {
+        message.digest[i] <== sha.digest[i];
+    }
+
+    component verify = GroupVerify(size, n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        verify.message[j] <== message.message[j];
+        verify.sig[j] <== sig[j];
+    }
+    for (var i = 0; i < size; i++) {
+        for (var j = 0; j < exp_bits; j++) {
+            verify.e[i][j] <== e[i][j];
+        }
+        for (var j = 0; j < k; j++) {
+            verify.N[i][j] <== N[i][j];
+        }
+    }
+    verify.index <== index;
+}
+
+// No main component here: setup.js generates rsa_jwt_<size>.circom for each size in
+// CIRCUIT_SIZES, which includes this file and instantiates
+// component main {public [e, N, encodingPrefix, claims, claimLengths]} = JWTGroupVerify(<size>, 120, 35, 17, 16, 2, 96);
@@ -0,0 +1,109 @@
+pragma circom 2.1.6;
+
+include "node_modules/circomlib/circuits/poseidon.circom";
+include "node_modules/circomlib/circuits/bitify.circom";
+include "rsa_big.circom";
+
+// Number of modulus chunks hashed together before the final key hash - must match
+// KEY_HASH_GROUP_SIZE in app.js
+function key_hash_groups(k) {
+    return (k + 14) \ 15;
+}
+
+template KeyHash(k) {
+    // Poseidon(e, Poseidon(N[0..14]), Poseidon(N[15..29]), ...)
+    signal input e;
+    signal input N[k];
+    signal output out;
+
+    var groups = key_hash_groups(k);
+    component groupHash[groups];
+    for (var g = 0; g < groups; g++) {
+        var groupSize = (k - 15 * g < 15) ? k - 15 * g : 15;
+        groupHash[g] = Poseidon(groupSize);
+        for (var j = 0; j < groupSize; j++) {
+            groupHash[g].inputs[j] <== N[15 * g + j];
+        }
+    }
+
+    component keyHash = Poseidon(groups + 1);
+    keyHash.inputs[0] <== e;
+    for (var g = 0; g < groups; g++) {
+        keyHash.inputs[g + 1] <== groupHash[g].out;
+    }
+    out <== keyHash.out;
+}
+
+template MerkleInclusion(depth) {
+    // pathIndices[i] is 1 when the running node is the right child at level i
+    signal input leaf;
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+    signal output root;
+
+    component hashers[depth];
+    signal levels[depth + 1];
+    signal left[depth];
+    signal right[depth];
+
+    levels[0] <== leaf;
+    for (var i = 0; i < depth; i++) {
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+
+        left[i] <== levels[i] + pathIndices[i] * (pathElements[i] - levels[i]);
+        right[i] <== pathElements[i] + pathIndices[i] * (levels[i] - pathElements[i]);
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== left[i];
+        hashers[i].inputs[1] <== right[i];
+        levels[i + 1] <== hashers[i].out;
+    }
+
+    root <== levels[depth];
+}
+
+template MerkleGroupVerify(depth, n, k, exp_bits) {
+    // Same statement as GroupVerify, but the key is private and only the
+    // Poseidon Merkle root of the key set is public
+    signal input sig[k];
+    signal input exponent;
+    signal input N[k];
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+    signal input message[k];
+    signal input root;
+
+    // Decomposing the exponent also range-checks the bits fed to BigModExp
+    component eBits = Num2Bits(exp_bits);
+    eBits.in <== exponent;
+
+    component leaf = KeyHash(k);
+    leaf.e <== exponent;
+    for (var j = 0; j < k; j++) {
+        leaf.N[j] <== N[j];
+    }
+
+    component inclusion = MerkleInclusion(depth);
+    inclusion.leaf <== leaf.out;
+    for (var i = 0; i < depth; i++) {
+        inclusion.pathElements[i] <== pathElements[i];
+        inclusion.pathIndices[i] <== pathIndices[i];
+    }
+    root === inclusion.root;
+
+    component exp = BigModExp(n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        exp.a[j] <== sig[j];
+        exp.c[j] <== N[j];
+    }
+    for (var j = 0; j < exp_bits; j++) {
+        exp.b[j] <== eBits.out[j];
+    }
+    for (var j = 0; j < k; j++) {
+        message[j] === exp.out[j];
+    }
+}
+
+// No main component here: setup.js generates rsa_merkle_<depth>.circom for each depth
+// in MERKLE_DEPTHS, which includes this file and instantiates
+// component main {public [message, root]} = MerkleGroupVerify(<depth>, 120, 35, 17);
@@ -0,0 +1,170 @@
+pragma circom 2.1.6;
+
+include "node_modules/circomlib/circuits/poseidon.circom";
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/multiplexer.circom";
+include "bigint.circom";
+include "rsa_big.circom";
+include "rsa_merkle.circom";
+
+template ChunkHash(k) {
+    // Poseidon(Poseidon(in[0..14]), Poseidon(in[15..29]), ...) - must match hashChunks in app.js
+    signal input in[k];
+    signal output out;
+
+    var groups = key_hash_groups(k);
+    component groupHash[groups];
+    for (var g = 0; g < groups; g++) {
+        var groupSize = (k - 15 * g < 15) ? k - 15 * g : 15;
+        groupHash[g] = Poseidon(groupSize);
+        for (var j = 0; j < groupSize; j++) {
+            groupHash[g].inputs[j] <== in[15 * g + j];
+        }
+    }
+
+    component hash = Poseidon(groups);
+    for (var g = 0; g < groups; g++) {
+        hash.inputs[g] <== groupHash[g].out;
+    }
+    out <== hash.out;
+}
+
+template RSANullifier(n, k, exp_bits) {
+    // Checks contextSig^e mod N == context and outputs a hash of contextSig.
+    // PKCS#1 v1.5 signatures are deterministic, so one key signing one context always
+    // yields the same nullifier. contextSig is range-checked to its canonical form
+    // (chunks < 2^n, value < N) so the prover cannot re-encode it to get a fresh nullifier.
+    signal input contextSig[k];
+    signal input e[exp_bits];
+    signal input N[k];
+    signal input context[k];
+    signal output nullifier;
+
+    component chunkBits[k];
+    for (var j = 0; j < k; j++) {
+        chunkBits[j] = Num2Bits(n);
+        chunkBits[j].in <== contextSig[j];
+    }
+
+    component lessThanN = BigLessThan(n, k);
+    for (var j = 0; j < k; j++) {
+        lessThanN.a[j] <== contextSig[j];
+        lessThanN.b[j] <== N[j];
+    }
+    lessThanN.out === 1;
+
+    component exp = BigModExp(n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        exp.a[j] <== contextSig[j];
+        exp.c[j] <== N[j];
+    }
+    for (var j = 0; j < exp_bits; j++) {
+        exp.b[j] <== e[j];
+    }
+    for (var j = 0; j < k; j++) {
+        context[j] === exp.out[j];
+    }
+
+    component hash = ChunkHash(k);
+    for (var j = 0; j < k; j++) {
+        hash.in[j] <== contextSig[j];
+    }
+    nullifier <== hash.out;
+}
+
+template GroupVerifyNullifier(size, n, k, exp_bits) {
+    // GroupVerify plus a nullifier from the same hidden key's signature over the context
+    signal input sig[k];
+    signal input contextSig[k];
+    signal input e[size][exp_bits];
+    signal input N[size][k];
+    signal input message[k];
+    signal input context[k];
+    signal input index;
+    signal output nullifier;
+
+    component verify = GroupVerify(size, n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        verify.sig[j] <== sig[j];
+        verify.message[j] <== message[j];
+    }
+    for (var i = 0; i < size; i++) {
+        for (var j = 0; j < exp_bits; j++) {
+            verify.e[i][j] <== e[i][j];
+        }
+        for (var j = 0; j < k; j++) {
+            verify.N[i][j] <== N[i][j];
+        }
+    }
+    verify.index <== index;
+
+    component muxE = Multiplexer(exp_bits, size);
+    component muxN = Multiplexer(k, size);
+    for (var i = 0; i < size; i++) {
+        for (var j = 0; j < exp_bits; j++) {
+            muxE.inp[i][j] <== e[i][j];
+        }
+        for (var j = 0; j < k; j++) {
+            muxN.inp[i][j] <== N[i][j];
+        }
+    }
+    muxE.sel <== index;
+    muxN.sel <== index;
+
+    component nullifierCheck = RSANullifier(n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        nullifierCheck.contextSig[j] <== contextSig[j];
+        nullifierCheck.N[j] <== muxN.out[j];
+        nullifierCheck.context[j] <== context[j];
+    }
+    for (var j = 0; j < exp_bits; j++) {
+        nullifierCheck.e[j] <== muxE.out[j];
+    }
+    nullifier <== nullifierCheck.nullifier;
+}
+
+template MerkleGroupVerifyNullifier(depth, n, k, exp_bits) {
+    // MerkleGroupVerify plus a nullifier from the same hidden key's signature over the context
+    signal input sig[k];
+    signal input contextSig[k];
+    signal input exponent;
+    signal input N[k];
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+    signal input message[k];
+    signal input root;
+    signal input context[k];
+    signal output nullifier;
+
+    component verify = MerkleGroupVerify(depth, n, k, exp_bits);
+    verify.exponent <== exponent;
+    for (var j = 0; j < k; j++) {
+        verify.sig[j] <== sig[j];
+        verify.N[j] <== N[j];
+        verify.message[j] <== message[j];
+    }
+    for (var i = 0; i < depth; i++) {
+        verify.pathElements[i] <== pathElements[i];
+        verify.pathIndices[i] <== pathIndices[i];
+    }
+    verify.root <== root;
+
+    component eBits = Num2Bits(exp_bits);
+    eBits.in <== exponent;
+
+    component nullifierCheck = RSANullifier(n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        nullifierCheck.contextSig[j] <== contextSig[j];
+        nullifierCheck.N[j] <== N[j];
+        nullifierCheck.context[j] <== context[j];
+    }
+    for (var j = 0; j < exp_bits; j++) {
+        nullifierCheck.e[j] <== eBits.out[j];
+    }
+    nullifier <== nullifierCheck.nullifier;
+}
+
+// No main component here: setup.js generates rsa_big_nullifier_<size>.circom and
+// rsa_merkle_nullifier_<depth>.circom, which include this file and instantiate
+// component main {public [e, N, message, context]} = GroupVerifyNullifier(<size>, 120, 35, 17);
+// component main {public [message, root, context]} = MerkleGroupVerifyNullifier(<depth>, 120, 35, 17);
@@ -0,0 +1,141 @@
+pragma circom 2.1.6;
+
+include "sha256_message.circom";
+include "rsa_big.circom";
+
+template OpenPGPDigest(maxBlocks) {
+    // SHA-256 of message || hashed signature data || trailer (RFC 4880, section 5.2.4), where
+    // the message's full 64-byte blocks are already folded into the public midstate and the
+    // signature's hashed data stays private, since GnuPG puts the issuer fingerprint there.
+    // tail is remainder || 04 type alg 08 L(2) || subpackets(L) || 04 FF (6 + L)(4) || SHA-256 padding
+    // - must match buildPGPTail in app.js
+    var len = 64 * maxBlocks;
+    signal input midstate[256];
+    signal input prefixLength;
+    signal input remainder[64];
+    signal input remainderLength;
+    signal input signatureType;
+    signal input tail[len];
+    signal input hashedLength;
+    signal input tailBlocks;
+    signal output digest[256];
+
+    component remainderLengthBits = Num2Bits(6);
+    remainderLengthBits.in <== remainderLength;
+    component hashedLengthBits = Num2Bits(16);
+    hashedLengthBits.in <== hashedLength;
+
+    // The tail starts with the rest of the public message
+    component inRemainder[64];
+    for (var i = 0; i < 64; i++) {
+        inRemainder[i] = LessThan(7);
+        inRemainder[i].in[0] <== i;
+        inRemainder[i].in[1] <== remainderLength;
+        inRemainder[i].out * (tail[i] - remainder[i]) === 0;
+    }
+
+    // v4 signature header: version 4, signature type, RSA, SHA-256, hashed subpacket length
+    component header[6];
+    for (var j = 0; j < 6; j++) {
+        header[j] = ByteAt(len);
+        header[j].pos <== remainderLength + j;
+        for (var i = 0; i < len; i++) {
+            header[j].in[i] <== tail[i];
+        }
+    }
+    header[0].out === 4;
+    header[1].out === signatureType;
+    (header[2].out - 1) * (header[2].out - 3) === 0;
+    header[3].out === 8;
+    header[4].out * 256 + header[5].out === hashedLength;
+
+    // Trailer right after the subpackets; its length field pins where the message ended
+    signal trailerStart <== remainderLength + 6 + hashedLength;
+    component trailer[6];
+    for (var j = 0; j < 6; j++) {
+        trailer[j] = ByteAt(len);
+        trailer[j].pos <== trailerStart + j;
+        for (var i = 0; i < len; i++) {
+            trailer[j].in[i] <== tail[i];
+        }
+    }
+    trailer[0].out === 4;
+    trailer[1].out === 255;
+    trailer[2].out * 16777216 + trailer[3].out * 65536 + trailer[4].out * 256 + trailer[5].out === 6 + hashedLength;
+
+    // Sha256Padded range-checks the tail bytes and checks the padding after the trailer
+    component sha = Sha256Padded(maxBlocks);
+    for (var i = 0; i < 256; i++) {
+        sha.midstate[i] <== midstate[i];
+    }
+    sha.prefixLength <== prefixLength;
+    for (var i = 0; i < len; i++) {
+        sha.data[i] <== tail[i];
+    }
+    sha.length <== trailerStart + 6;
+    sha.numBlocks <== tailBlocks;
+    for (var k = 0; k < 256; k++) {
+        digest[k] <== sha.digest[k];
+    }
+}
+
+template PGPGroupVerify(size, n, k, exp_bits, maxBlocks) {
+    // GroupVerify for an OpenPGP v4 RSA/SHA-256 signature, with the message integer built
+    // in the circuit from the private digest (see PKCS1SHA256Message)
+    signal input sig[k];
+    signal input e[size][exp_bits];
+    signal input N[size][k];
+    signal input encodingPrefix[k];
+    signal input midstate[256];
+    signal input prefixLength;
+    signal input remainder[64];
+    signal input remainderLength;
+    signal input signatureType;
+    signal input tail[64 * maxBlocks];
+    signal input hashedLength;
+    signal input tailBlocks;
+    signal input index;
+
+    component hash = OpenPGPDigest(maxBlocks);
+    for (var i = 0; i < 256; i++) {
+        hash.midstate[i] <== midstate[i];
+    }
+    hash.prefixLength <== prefixLength;
+    for (var i = 0; i < 64; i++) {
+        hash.remainder[i] <== remainder[i];
+    }
+    hash.remainderLength <== remainderLength;
+    hash.signatureType <== signatureType;
+    for (var i = 0; i < 64 * maxBlocks; i++) {
+        hash.tail[i] <== tail[i];
+    }
+    hash.hashedLength <== hashedLength;
+    hash.tailBlocks <== tailBlocks;
+
+    component message = PKCS1SHA256Message(n, k);
+    for (var j = 0; j < k; j++) {
+        message.encodingPrefix[j] <== encodingPrefix[j];
+    }
+    for (var i = 0; i < 256; i++) {
+        message.digest[i] <== hash.digest[i];
+    }
+
+    component verify = GroupVerify(size, n, k, exp_bits);
+    for (var j = 0; j < k; j++) {
+        verify.message[j] <== message.message[j];
+        verify.sig[j] <== sig[j];
+    }
+    for (var i = 0; i < size; i++) {
+        for (var j = 0; j < exp_bits; j++) {
+            verify.e[i][j] <== e[i][j];
+        }
+        for (var j = 0; j < k; j++) {
+            verify.N[i][j] <== N[i][j];
+        }
+    }
+    verify.index <== index;
+}
+
+// No main component here: setup.js generates rsa_pgp_<size>.circom for each size in
+// CIRCUIT_SIZES, which includes this file and instantiates
+// component main {public [e, N, encodingPrefix, midstate, prefixLength, remainder, remainderLength, signatureType]} = PGPGroupVerify(<size>, 120, 35, 17, 4);
@@ -1,60 +1,573 @@
 const snarkjs = require("snarkjs");
 const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const readline = require("readline");
 const { execSync } = require('child_process');
+const { solidityFiles, writeSolidityContracts } = require("./solidity");
 
-async function setup() {
-    console.log("Starting trusted setup...");
+// Defaults for the command-line parameters (see USAGE). app.js finds the compiled sizes and depths
+// through circuits.json, but encodes RSA inputs with its own CHUNK_BITS / NUM_CHUNKS / EXPONENT_BITS
+// and only proves with circuits whose manifest records the same values
+const CIRCUIT_SIZES = [4, 8, 16, 32, 64];
+const MERKLE_DEPTHS = [8, 10, 12];
+const CHUNK_BITS = 120;
+const NUM_CHUNKS = 35;
+const EXPONENT_BITS = 17;
+// SSHSIG signed data lengths the Ed25519 circuits are compiled for, one family per length (app.js picks
+// the family from the length): 92 + namespace bytes with sha512, so 104 is a 12-character namespace
+const ED25519_SIGNED_DATA_LENGTHS = [104];
+// Chunking of P-256 values in the ECDSA circuits - must match ECDSA_CHUNK_BITS / ECDSA_NUM_CHUNKS in app.js
+const ECDSA_CHUNK_BITS = 43;
+const ECDSA_NUM_CHUNKS = 6;
+// SHA-256 blocks the OpenPGP circuits hash in-circuit - must match PGP_TAIL_BLOCKS in app.js
+const PGP_TAIL_BLOCKS = 4;
+// JWT token blocks and revealed claims - must match JWT_MAX_BLOCKS / JWT_MAX_CLAIMS / JWT_MAX_CLAIM_BYTES in app.js
+const JWT_MAX_BLOCKS = 16;
+const JWT_MAX_CLAIMS = 2;
+const JWT_MAX_CLAIM_BYTES = 96;
+// DKIM signed-data blocks and revealed header fields - must match DKIM_MAX_BLOCKS / DKIM_MAX_HEADERS / DKIM_MAX_HEADER_BYTES in app.js
+const DKIM_MAX_BLOCKS = 24;
+const DKIM_MAX_HEADERS = 2;
+const DKIM_MAX_HEADER_BYTES = 128;
+// Certificate blocks and revealed principals bytes - must match CERT_MAX_BLOCKS / CERT_MAX_PRINCIPAL_BYTES in app.js
+const CERT_MAX_BLOCKS = 24;
+const CERT_MAX_PRINCIPAL_BYTES = 64;
+
+function circuitDefinitions(params) {
+    /**
+     * Every circuit setup can build, for the given parameters
+     *
+     * Args:
+     *     params: {sizes, depths, chunkBits, chunks, exponentBits, ed25519Lengths} (see parseArgs)
+     *
+     * Returns:
+     *     array: [{name, templateFile, template, params, publicInputs, package}], params named and in the
+     *            template's argument order; package is the optional npm package the template includes
+     */
+    const { sizes, depths, chunkBits, chunks, exponentBits, ed25519Lengths } = params;
+    const rsa = { chunkBits, chunks, exponentBits };
+    return [
+        ...sizes.map(size => ({
+            name: `rsa_big_${size}`,
+            templateFile: "rsa_big.circom",
+            template: "GroupVerify",
+            params: { size, ...rsa },
+            publicInputs: ["e", "N", "message"]
+        })),
+        ...depths.map(depth => ({
+            name: `rsa_merkle_${depth}`,
+            templateFile: "rsa_merkle.circom",
+            template: "MerkleGroupVerify",
+            params: { depth, ...rsa },
+            publicInputs: ["message", "root"]
+        })),
+        // Variants with a per-context nullifier output
+        ...sizes.map(size => ({
+            name: `rsa_big_nullifier_${size}`,
+            templateFile: "rsa_nullifier.circom",
+            template: "GroupVerifyNullifier",
+            params: { size, ...rsa },
+            publicInputs: ["e", "N", "message", "context"]
+        })),
+        ...depths.map(depth => ({
+            name: `rsa_merkle_nullifier_${depth}`,
+            templateFile: "rsa_nullifier.circom",
+            template: "MerkleGroupVerifyNullifier",
+            params: { depth, ...rsa },
+            publicInputs: ["message", "root", "context"]
+        })),
+        // OpenPGP RSA signatures
+        ...sizes.map(size => ({
+            name: `rsa_pgp_${size}`,
+            templateFile: "rsa_pgp.circom",
+            template: "PGPGroupVerify",
+            params: { size, ...rsa, tailBlocks: PGP_TAIL_BLOCKS },
+            publicInputs: ["e", "N", "encodingPrefix", "midstate", "prefixLength", "remainder", "remainderLength", "signatureType"]
+        })),
+        // RS256 JWT issuers
+        ...sizes.map(size => ({
+            name: `rsa_jwt_${size}`,
+            templateFile: "rsa_jwt.circom",
+            template: "JWTGroupVerify",
+            params: { size, ...rsa, maxBlocks: JWT_MAX_BLOCKS, maxClaims: JWT_MAX_CLAIMS, maxClaimBytes: JWT_MAX_CLAIM_BYTES },
+            publicInputs: ["e", "N", "encodingPrefix", "claims", "claimLengths"]
+        })),
+        // DKIM-signed emails
+        ...sizes.map(size => ({
+            name: `rsa_dkim_${size}`,
+            templateFile: "rsa_dkim.circom",
+            template: "DKIMGroupVerify",
+            params: { size, ...rsa, maxBlocks: DKIM_MAX_BLOCKS, maxHeaders: DKIM_MAX_HEADERS, maxHeaderBytes: DKIM_MAX_HEADER_BYTES },
+            publicInputs: ["e", "N", "encodingPrefix", "headers", "headerLengths"]
+        })),
+        // Keys certified by one ssh-rsa CA
+        {
+            name: "rsa_cert_ca",
+            templateFile: "rsa_cert.circom",
+            template: "CertificateVerify",
+            params: { ...rsa, maxBlocks: CERT_MAX_BLOCKS, maxPrincipalBytes: CERT_MAX_PRINCIPAL_BYTES },
+            publicInputs: ["caE", "caN", "caEncodingPrefix", "messageDigest", "validAt", "revealPrincipals", "principals", "principalsLength"]
+        },
+        // Ed25519 key groups, a family per signed-data length: ed25519_group_104b_8, ...
+        ...ed25519Lengths.flatMap(bytes => sizes.map(size => ({
+            name: `ed25519_group_${bytes}b_${size}`,
+            templateFile: "ed25519_group.circom",
+            template: "Ed25519GroupVerify",
+            params: { size, messageBits: bytes * 8 },
+            publicInputs: ["keys", "msg"],
+            package: "ed25519-circom"
+        }))),
+        // ECDSA nistp256 key groups
+        ...sizes.map(size => ({
+            name: `ecdsa_p256_group_${size}`,
+            templateFile: "ecdsa_p256_group.circom",
+            template: "ECDSAP256GroupVerify",
+            params: { size, chunkBits: ECDSA_CHUNK_BITS, chunks: ECDSA_NUM_CHUNKS },
+            publicInputs: ["pubkeys", "msghash"],
+            package: "circom-ecdsa-p256"
+        }))
+    ];
+}
+
+// Write the main component for one circuit; the templates live in its template file
+function writeCircuitEntryPoint(circuitDef) {
+    const source = `pragma circom 2.1.6;
+
+include "${circuitDef.templateFile}";
+
+component main {public [${circuitDef.publicInputs.join(", ")}]} = ${circuitDef.template}(${Object.values(circuitDef.params).join(", ")});
+`;
+    fs.writeFileSync(`${circuitDef.name}.circom`, source);
+    return circuitDef.name;
+}
+
+// Circuits come in families of one template at several sizes or depths: rsa_big_4, rsa_big_8, ...
+function circuitFamily(name) {
+    return name.replace(/_\d+$/, "");
+}
+
+// Proving systems setup can generate keys for. Groth16 keys are circuit-specific (phase 2 runs per
+// circuit, see ceremony.js); PLONK and FFLONK keys come from the powers of tau alone. Setup writes
+// no verifying key or contracts for a system that needs a ceremony: only ceremony.js verify does.
+const PROTOCOLS = {
+    groth16: {
+        zkeyFile: name => `${name}_0000.zkey`,
+        verificationKeyFile: name => `verification_key_${name}.json`,
+        needsCeremony: true,
+        minPtauPower: r1cs => requiredPtauPower(r1cs),
+        setup: (r1csFile, ptauFile, zkeyFile, logger) => snarkjs.zKey.newZKey(r1csFile, ptauFile, zkeyFile, logger)
+    },
+    // Linear combinations become extra addition gates, which only the setup itself counts
+    plonk: {
+        zkeyFile: name => `${name}_plonk.zkey`,
+        verificationKeyFile: name => `verification_key_${name}_plonk.json`,
+        minPtauPower: r1cs => requiredPtauPower(r1cs),
+        setup: (r1csFile, ptauFile, zkeyFile, logger) => snarkjs.plonk.setup(r1csFile, ptauFile, zkeyFile, logger)
+    },
+    // FFLONK commits to polynomials of 9 times the domain size, so it needs 16 times the powers
+    fflonk: {
+        zkeyFile: name => `${name}_fflonk.zkey`,
+        verificationKeyFile: name => `verification_key_${name}_fflonk.json`,
+        minPtauPower: r1cs => requiredPtauPower(r1cs) + 4,
+        setup: (r1csFile, ptauFile, zkeyFile, logger) => snarkjs.fflonk.setup(r1csFile, ptauFile, zkeyFile, logger)
+    }
+};
+
+const USAGE = `Usage: node setup.js [options]
+
+Compiles the circuits and generates their proving and verifying keys, for Groth16 unless
+--protocols says otherwise. Never downloads anything: the powers of tau file is the smallest
+powersOfTau28_hez_final_<power>.ptau in the ptau directory that fits each circuit.
+
+  --circuits <list>       Circuits to build, by name (rsa_big_8) or family (rsa_big); default all
+                          but the Ed25519 and ECDSA ones when their GitHub packages are not installed
+  --sizes <list>          Group sizes (default ${CIRCUIT_SIZES.join(",")})
+  --depths <list>         Merkle tree depths (default ${MERKLE_DEPTHS.join(",")})
+  --chunk-bits <n>        Bits per RSA chunk (default ${CHUNK_BITS})
+  --chunks <n>            RSA chunks (default ${NUM_CHUNKS}); chunk bits x chunks must cover the modulus
+  --exponent-bits <n>     Bits of the RSA public exponent (default ${EXPONENT_BITS})
+  --ed25519-lengths <list>
+                          SSHSIG signed-data lengths in bytes to build Ed25519 circuits for
+                          (default ${ED25519_SIGNED_DATA_LENGTHS.join(",")}): 92 + namespace bytes with sha512, 60 + with sha256
+  --protocols <list>      Proving systems to generate keys for: ${Object.keys(PROTOCOLS).join(", ")}
+                          (default groth16). A circuit's manifest lists the keys of its last run
+  --solidity              Also export Solidity contracts for each proving system: the snarkjs
+                          verifier and a membership contract that checks proofs against a
+                          committed key set (see solidity.js and evm_test.js). Groth16 contracts
+                          come from node ceremony.js verify <circuit> --solidity instead
+  --ptau-dir <dir>        Where to look for powers of tau files (default .)`;
+
+function parseArgs(argv) {
+    const positiveInteger = (option, text) => {
+        if (!/^[1-9]\d*$/.test(text)) {
+            throw new Error(`${option} expects a positive integer, got "${text}"`);
+        }
+        return Number(text);
+    };
+    const integerList = (option, text) => text.split(",").map(item => positiveInteger(option, item.trim()));
     
+    const params = { sizes: CIRCUIT_SIZES, depths: MERKLE_DEPTHS, chunkBits: CHUNK_BITS, chunks: NUM_CHUNKS, exponentBits: EXPONENT_BITS, ed25519Lengths: ED25519_SIGNED_DATA_LENGTHS, protocols: ["groth16"], ptauDir: ".", circuits: null, solidity: false };
+    const options = {
+        "--circuits": text => params.circuits = text.split(",").map(name => name.trim()).filter(name => name),
+        "--sizes": text => params.sizes = integerList("--sizes", text),
+        "--depths": text => params.depths = integerList("--depths", text),
+        "--chunk-bits": text => params.chunkBits = positiveInteger("--chunk-bits", text),
+        "--chunks": text => params.chunks = positiveInteger("--chunks", text),
+        "--exponent-bits": text => params.exponentBits = positiveInteger("--exponent-bits", text),
+        "--ed25519-lengths": text => params.ed25519Lengths = integerList("--ed25519-lengths", text),
+        "--protocols": text => params.protocols = [...new Set(text.split(",").map(name => name.trim()).filter(name => name))],
+        "--ptau-dir": text => params.ptauDir = text
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--help") {
+            console.log(USAGE);
+            process.exit(0);
+        }
+        if (argv[i] === "--solidity") {
+            params.solidity = true;
+            continue;
+        }
+        if (!options[argv[i]] || i + 1 >= argv.length) {
+            throw new Error(`Unknown or incomplete option ${argv[i]}`);
+        }
+        options[argv[i]](argv[++i]);
+    }
+    const unknownProtocols = params.protocols.filter(protocol => !PROTOCOLS[protocol]);
+    if (unknownProtocols.length > 0 || params.protocols.length === 0) {
+        throw new Error(`--protocols expects ${Object.keys(PROTOCOLS).join(", ")}, got "${params.protocols.join(",")}"`);
+    }
+    return params;
+}
+
+// Circuits the --circuits filter selects (all of them without one); unknown names are an error
+function selectCircuits(circuits, names) {
+    if (!names) {
+        return circuits;
+    }
+    const unknown = names.filter(name => !circuits.some(c => c.name === name || circuitFamily(c.name) === name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown circuit ${unknown.join(", ")} (available: ${[...new Set(circuits.map(c => circuitFamily(c.name)))].join(", ")})`);
+    }
+    return circuits.filter(c => names.includes(c.name) || names.includes(circuitFamily(c.name)));
+}
+
+// Leave out circuits whose template package is not installed. ed25519-circom and circom-ecdsa-p256
+// are only on GitHub, so they are optionalDependencies and npm skips them when it cannot reach it:
+// a full setup goes on without their circuits, but circuits asked for with --circuits must build
+function selectInstalledCircuits(circuits, names) {
+    const missing = circuits.filter(c => c.package && !fs.existsSync(path.join("node_modules", c.package)));
+    if (missing.length === 0) {
+        return circuits;
+    }
+    const packages = [...new Set(missing.map(c => c.package))];
+    const families = [...new Set(missing.map(c => circuitFamily(c.name)))];
+    if (names) {
+        throw new Error(`Not installed: ${packages.join(", ")} (needed by ${families.join(", ")}); npm install skips these GitHub packages when it cannot reach GitHub`);
+    }
+    console.warn(`⚠️ Skipping ${families.join(", ")}: ${packages.join(", ")} not installed (npm install skips these GitHub packages when it cannot reach GitHub)`);
+    return circuits.filter(c => !missing.includes(c));
+}
+
+function readR1csHeader(r1csFile) {
+    /**
+     * Read the header section of a .r1cs file, without loading its constraints (the RSA circuits'
+     * are hundreds of megabytes). Layout (iden3 r1cs format): "r1cs", uint32 version, uint32 section
+     * count, then sections of uint32 type, uint64 size, data; the header is section type 1.
+     *
+     * Returns:
+     *     object: {nConstraints, nOutputs, nPubInputs, nPrvInputs}
+     */
+    const fd = fs.openSync(r1csFile, "r");
     try {
-        // Check if circom is available
+        const read = (position, length) => {
+            const buffer = Buffer.alloc(length);
+            if (fs.readSync(fd, buffer, 0, length, position) !== length) {
+                throw new Error(`${r1csFile} is truncated`);
+            }
+            return buffer;
+        };
+        
+        const preamble = read(0, 12);
+        if (preamble.toString("latin1", 0, 4) !== "r1cs") {
+            throw new Error(`${r1csFile} is not an r1cs file`);
+        }
+        let position = 12;
+        for (let section = preamble.readUInt32LE(8); section > 0; section--) {
+            const sectionHeader = read(position, 12);
+            const size = Number(sectionHeader.readBigUInt64LE(4));
+            position += 12;
+            if (sectionHeader.readUInt32LE(0) === 1) {
+                const fieldSize = read(position, 4).readUInt32LE(0);
+                const header = read(position + 4 + fieldSize, 28);
+                return {
+                    nOutputs: header.readUInt32LE(4),
+                    nPubInputs: header.readUInt32LE(8),
+                    nPrvInputs: header.readUInt32LE(12),
+                    nConstraints: header.readUInt32LE(24)
+                };
+            }
+            position += size;
+        }
+        throw new Error(`${r1csFile} has no header section`);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Powers of tau a circuit needs: Groth16 setup adds a constraint per public signal, plus one,
+// and rounds up to a power of two (the same count snarkjs zkey new checks)
+function requiredPtauPower(r1cs) {
+    return (r1cs.nConstraints + r1cs.nPubInputs + r1cs.nOutputs).toString(2).length;
+}
+
+function findPtauFiles(ptauDir, power) {
+    /**
+     * Local powersOfTau28_hez_final_<power>.ptau files that are big enough, smallest first
+     *
+     * Returns:
+     *     array: paths of the ptau files (never empty)
+     */
+    const available = (fs.existsSync(ptauDir) ? fs.readdirSync(ptauDir) : [])
+        .map(file => ({ file, match: file.match(/^powersOfTau28_hez_final_(\d+)\.ptau$/) }))
+        .filter(entry => entry.match)
+        .map(entry => ({ file: path.join(ptauDir, entry.file), power: Number(entry.match[1]) }))
+        .sort((a, b) => a.power - b.power);
+    const fitting = available.filter(entry => entry.power >= power);
+    if (fitting.length === 0) {
+        const have = available.length > 0 ? available.map(entry => entry.power).join(", ") : "none";
+        throw new Error(`No powers of tau file of power ${power} or more in ${path.resolve(ptauDir)} (powers available: ${have}). ` +
+            `Put powersOfTau28_hez_final_${power}.ptau (or a larger one) there; setup does not download it.`);
+    }
+    return fitting.map(entry => entry.file);
+}
+
+async function generateKeys(protocol, circuitName, r1cs, ptauDir) {
+    /**
+     * Generate a circuit's proving and verifying keys for one proving system, from the smallest local
+     * ptau that fits. Groth16's size is known from the r1cs header; PLONK and FFLONK count their gates
+     * while setting up, so larger ptau files are tried until one is big enough. A Groth16 zkey has
+     * no contributions yet, so its verifying key is left to ceremony.js verify.
+     *
+     * Returns:
+     *     object: {ptau, zkey, verificationKey} file paths; no verificationKey for Groth16
+     */
+    const backend = PROTOCOLS[protocol];
+    const zkeyFile = backend.zkeyFile(circuitName);
+    const power = backend.minPtauPower(r1cs);
+    for (const ptauFile of findPtauFiles(ptauDir, power)) {
+        console.log(`Generating ${protocol} keys with ${ptauFile} (needs at least 2^${power})...`);
+        const errors = [];
+        const logger = { debug() {}, info() {}, warn: console.warn, error: message => errors.push(message) };
+        let result;
         try {
-            execSync('circom --version', { stdio: 'pipe' });
-        } catch (e) {
-            console.error("Circom not found. Please install circom first:");
-            console.error("Visit: https://docs.circom.io/getting-started/installation/");
-            return;
+            result = await backend.setup(`${circuitName}.r1cs`, ptauFile, zkeyFile, logger);
+        } catch (error) {
+            errors.push(error.message);
+            result = -1;
         }
-        
-        // Compile the circuit
-        console.log("Compiling circuit...");
-        execSync('circom rsa_big.circom --r1cs --wasm --sym', { stdio: 'inherit' });
-        
-        // Download powers of tau if not exists (need larger file for RSA circuit)
-        console.log("Checking powers of tau file...");
-        const ptauFile = "powersOfTau28_hez_final_22.ptau";
-        if (!fs.existsSync(`./${ptauFile}`)) {
-            console.log("Downloading powers of tau (this may take a while - ~200MB)...");
-            try {
-                execSync(`curl -L -o ${ptauFile} https://storage.googleapis.com/zkevm/ptau/${ptauFile}`, { stdio: 'inherit' });
-            } catch (error) {
-                console.log("Primary download failed, trying hermez...");
-                execSync(`curl -L -o ${ptauFile} https://hermez.s3-eu-west-1.amazonaws.com/${ptauFile}`, { stdio: 'inherit' });
+        if (result !== -1) {
+            if (backend.needsCeremony) {
+                // A verifying key left by an earlier setup is for the zkey just replaced
+                fs.rmSync(backend.verificationKeyFile(circuitName), { force: true });
+                return { ptau: ptauFile, zkey: zkeyFile };
             }
+            const vKey = await snarkjs.zKey.exportVerificationKey(zkeyFile);
+            fs.writeFileSync(backend.verificationKeyFile(circuitName), JSON.stringify(vKey, null, 2));
+            return { ptau: ptauFile, zkey: zkeyFile, verificationKey: backend.verificationKeyFile(circuitName) };
         }
+        if (!errors.some(message => /too big|not big enough/.test(message))) {
+            throw new Error(`snarkjs could not generate the ${protocol} proving key for ${circuitName}: ${errors.join("; ")}`);
+        }
+        console.log(`${path.basename(ptauFile)} is too small for ${protocol}: ${errors.join("; ")}`);
+    }
+    throw new Error(`None of the powers of tau files in ${path.resolve(ptauDir)} is big enough for the ${protocol} keys of ${circuitName}; ` +
+        "add a larger one (setup does not download it)");
+}
+
+async function readPublicSignalLayout(symFile, publicCount) {
+    /**
+     * Names and lengths of a circuit's public signals, from the .sym file circom writes. Wires
+     * 1..publicCount are the outputs and public inputs, in the order snarkjs returns them.
+     * Lines are "label index,wire index,component index,name"; main's own signals come first,
+     * so reading stops as soon as all public wires are found.
+     *
+     * Returns:
+     *     array: [{name, length}], e.g. [{name: "e", length: 68}, {name: "N", length: 140}, ...]
+     */
+    const wireNames = [];
+    let found = 0;
+    const input = fs.createReadStream(symFile);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+        const [, wire, , name] = line.split(",");
+        const wireIndex = Number(wire);
+        if (wireIndex >= 1 && wireIndex <= publicCount && wireNames[wireIndex] === undefined) {
+            wireNames[wireIndex] = name;
+            if (++found === publicCount) {
+                break;
+            }
+        }
+    }
+    lines.close();
+    input.destroy();
+    if (found !== publicCount) {
+        throw new Error(`${symFile} names ${found} of the ${publicCount} public signals`);
+    }
+    
+    // main.e[0][3] is element of signal e; consecutive wires of one signal make up its length
+    const layout = [];
+    for (let wire = 1; wire <= publicCount; wire++) {
+        const name = wireNames[wire].replace(/^main\./, "").replace(/\[.*$/, "");
+        if (layout.length > 0 && layout[layout.length - 1].name === name) {
+            layout[layout.length - 1].length++;
+        } else {
+            layout.push({ name, length: 1 });
+        }
+    }
+    return layout;
+}
+
+function sha256File(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        fs.createReadStream(file)
+            .on("data", chunk => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("hex")))
+            .on("error", reject);
+    });
+}
+
+async function writeCircuitManifest(circuitDef, r1cs, keys, withSolidity) {
+    /**
+     * Write manifest_<name>.json, which app.js configures itself from: what the circuit was compiled
+     * with, where its public signals are, and its files with their SHA-256 hashes
+     *
+     * Args:
+     *     keys: generateKeys result for each proving system, e.g. {plonk: {ptau, zkey, verificationKey}}
+     *     withSolidity: also write the Solidity contracts of each proving system that needs no
+     *                   ceremony, and list them
+     */
+    const name = circuitDef.name;
+    const fileEntry = async file => ({ path: `./${file}`, sha256: await sha256File(file) });
+    const manifest = {
+        name: name,
+        template: circuitDef.template,
+        templateFile: circuitDef.templateFile,
+        params: circuitDef.params,
+        constraints: r1cs.nConstraints,
+        publicSignals: await readPublicSignalLayout(`${name}.sym`, r1cs.nOutputs + r1cs.nPubInputs),
+        files: {
+            wasm: await fileEntry(`${name}_js/${name}.wasm`)
+        },
+        protocols: {}
+    };
+    for (const [protocol, files] of Object.entries(keys)) {
+        manifest.protocols[protocol] = {
+            ptau: path.basename(files.ptau),
+            zkey: await fileEntry(files.zkey)
+        };
+        if (PROTOCOLS[protocol].needsCeremony) {
+            // Contracts left by an earlier setup are for the zkey just replaced
+            Object.values(solidityFiles(name, protocol)).forEach(file => fs.rmSync(file, { force: true }));
+            continue;
+        }
+        manifest.protocols[protocol].verificationKey = await fileEntry(files.verificationKey);
+        if (withSolidity) {
+            const contracts = await writeSolidityContracts(manifest, protocol, files.zkey);
+            manifest.protocols[protocol].solidity = {
+                verifier: await fileEntry(contracts.verifier),
+                membership: await fileEntry(contracts.membership)
+            };
+        }
+    }
+    fs.writeFileSync(`manifest_${name}.json`, JSON.stringify(manifest, null, 2));
+}
+
+// Rewrite circuits.json, the list of every circuit with a manifest here (earlier runs included)
+function writeCircuitIndex() {
+    const circuits = fs.readdirSync(".")
+        .map(file => file.match(/^manifest_(.+)\.json$/))
+        .filter(match => match)
+        .map(match => match[1])
+        .sort();
+    fs.writeFileSync("circuits.json", JSON.stringify({ circuits }, null, 2));
+    return circuits;
+}
+
+async function setup(params) {
+    console.log("Starting trusted setup...");
+    
+    // Check if circom is available
+    try {
+        execSync('circom --version', { stdio: 'pipe' });
+    } catch (e) {
+        throw new Error("Circom not found. Please install circom first: https://docs.circom.io/getting-started/installation/");
+    }
+    
+    const circuits = selectInstalledCircuits(selectCircuits(circuitDefinitions(params), params.circuits), params.circuits);
+    for (const circuitDef of circuits) {
+        // Compile the circuit
+        console.log(`\nCompiling ${circuitDef.name}...`);
+        const circuitName = writeCircuitEntryPoint(circuitDef);
+        execSync(`circom ${circuitName}.circom --r1cs --wasm --sym`, { stdio: 'inherit' });
         
-        // Generate proving and verifying keys
-        console.log("Generating proving and verifying keys...");
-        await snarkjs.zKey.newZKey(
-            "rsa_big.r1cs",
-            ptauFile,
-            "rsa_big_0000.zkey"
-        );
-        
-        // Export verifying key
-        console.log("Exporting verifying key...");
-        const vKey = await snarkjs.zKey.exportVerificationKey("rsa_big_0000.zkey");
-        fs.writeFileSync("verification_key.json", JSON.stringify(vKey, null, 2));
+        const r1cs = readR1csHeader(`${circuitName}.r1cs`);
+        console.log(`${r1cs.nConstraints} constraints`);
         
-        console.log("\n✅ Setup complete!");
-        console.log("Files generated:");
-        console.log("- rsa_big.wasm (in rsa_big_js/ directory)");
-        console.log("- rsa_big_0000.zkey");
-        console.log("- verification_key.json");
-        console.log("\nYou can now run: npm run serve");
+        // Generate proving and verifying keys
+        const keys = {};
+        for (const protocol of params.protocols) {
+            keys[protocol] = await generateKeys(protocol, circuitName, r1cs, params.ptauDir);
+        }
         
+        console.log("Writing circuit manifest...");
+        await writeCircuitManifest(circuitDef, r1cs, keys, params.solidity);
+        writeCircuitIndex();
+    }
+    
+    console.log("\n✅ Setup complete!");
+    console.log("Files generated for each circuit <name> in", circuits.map(c => c.name).join(", ") + ":");
+    console.log("- <name>.wasm (in <name>_js/ directory)");
+    for (const protocol of params.protocols) {
+        if (PROTOCOLS[protocol].needsCeremony) {
+            console.log(`- ${PROTOCOLS[protocol].zkeyFile("<name>")}, the start of the ${protocol} ceremony`);
+            continue;
+        }
+        console.log(`- ${PROTOCOLS[protocol].zkeyFile("<name>")} and ${PROTOCOLS[protocol].verificationKeyFile("<name>")}`);
+        if (params.solidity) {
+            const contracts = solidityFiles("<name>", protocol);
+            console.log(`- ${contracts.verifier} and ${contracts.membership}`);
+        }
+    }
+    console.log("- manifest_<name>.json, listed in circuits.json");
+    if (params.protocols.includes("groth16")) {
+        console.log("\n⚠️ The _0000 zkeys have no phase-2 contributions: whoever ran this setup could forge Groth16 proofs.");
+        console.log(`Groth16 proofs need a ceremony first; its last step, node ceremony.js verify <name>${params.solidity ? " --solidity" : ""}, exports the verifying key${params.solidity ? " and contracts" : ""}.`);
+    }
+    console.log("\nYou can now run: npm run serve");
+}
+
+if (require.main === module) {
+    let params;
+    try {
+        params = parseArgs(process.argv.slice(2));
     } catch (error) {
-        console.error("Setup failed:", error);
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
     }
+    setup(params).then(() => process.exit(0)).catch(error => {
+        console.error(`❌ Setup failed: ${error.message}`);
+        process.exit(1);
+    });
 }
 
-setup();
\ No newline at end of file
+module.exports = {
+    circuitDefinitions,
+    writeCircuitEntryPoint,
+    readR1csHeader,
+    generateKeys,
+    writeCircuitManifest,
+    sha256File
+};
@@ -0,0 +1,182 @@
+pragma circom 2.1.6;
+
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/comparators.circom";
+include "node_modules/circomlib/circuits/multiplexer.circom";
+include "node_modules/circomlib/circuits/sha256/sha256compression.circom";
+
+template ByteAt(len) {
+    // in[pos], or 0 when pos is outside the array
+    signal input in[len];
+    signal input pos;
+    signal output out;
+
+    component eq[len];
+    signal acc[len + 1];
+    acc[0] <== 0;
+    for (var i = 0; i < len; i++) {
+        eq[i] = IsEqual();
+        eq[i].in[0] <== i;
+        eq[i].in[1] <== pos;
+        acc[i + 1] <== acc[i] + eq[i].out * in[i];
+    }
+    out <== acc[len];
+}
+
+// Bits needed to address len positions
+function address_bits(len) {
+    var bits = 1;
+    while ((1 << bits) < len) {
+        bits++;
+    }
+    return bits;
+}
+
+template VarShiftLeft(len, outLen) {
+    // out[i] = in[shift + i], or 0 past the end, with one layer per bit of shift
+    var bits = address_bits(len);
+    signal input in[len];
+    signal input shift;
+    signal output out[outLen];
+
+    component shiftBits = Num2Bits(bits);
+    shiftBits.in <== shift;
+
+    signal layers[bits + 1][len];
+    for (var i = 0; i < len; i++) {
+        layers[0][i] <== in[i];
+    }
+    for (var b = 0; b < bits; b++) {
+        for (var i = 0; i < len; i++) {
+            var next = i + (1 << b) < len ? layers[b][i + (1 << b)] : 0;
+            layers[b + 1][i] <== layers[b][i] + shiftBits.out[b] * (next - layers[b][i]);
+        }
+    }
+    for (var i = 0; i < outLen; i++) {
+        out[i] <== layers[bits][i];
+    }
+}
+
+template Sha256Padded(maxBlocks) {
+    // SHA-256 continued from midstate over the first numBlocks blocks of data. Those blocks must
+    // hold length bytes of message followed by the standard padding for a message of
+    // prefixLength + length bytes, where prefixLength bytes were already folded into midstate.
+    // Every data byte is range-checked here.
+    var len = 64 * maxBlocks;
+    signal input midstate[256];
+    signal input prefixLength;
+    signal input data[len];
+    signal input length;
+    signal input numBlocks;
+    signal output digest[256];
+
+    component dataBits[len];
+    for (var i = 0; i < len; i++) {
+        dataBits[i] = Num2Bits(8);
+        dataBits[i].in <== data[i];
+    }
+
+    // Padding: 0x80, zeros, then the 64-bit bit length at the end of the last block
+    signal blockEnd <== 64 * numBlocks;
+
+    component paddingByte = ByteAt(len);
+    paddingByte.pos <== length;
+    for (var i = 0; i < len; i++) {
+        paddingByte.in[i] <== data[i];
+    }
+    paddingByte.out === 128;
+
+    component fits = LessThan(17);
+    fits.in[0] <== length + 8;
+    fits.in[1] <== blockEnd;
+    fits.out === 1;
+
+    component afterPadding[len];
+    component beforeLength[len];
+    signal zeroed[len];
+    for (var i = 0; i < len; i++) {
+        afterPadding[i] = LessThan(17);
+        afterPadding[i].in[0] <== length;
+        afterPadding[i].in[1] <== i;
+        beforeLength[i] = LessThan(17);
+        beforeLength[i].in[0] <== i;
+        beforeLength[i].in[1] <== blockEnd - 8;
+        zeroed[i] <== afterPadding[i].out * beforeLength[i].out;
+        zeroed[i] * data[i] === 0;
+    }
+
+    component lengthBytes[8];
+    var bitLength = 0;
+    for (var j = 0; j < 8; j++) {
+        lengthBytes[j] = ByteAt(len);
+        lengthBytes[j].pos <== blockEnd - 8 + j;
+        for (var i = 0; i < len; i++) {
+            lengthBytes[j].in[i] <== data[i];
+        }
+        bitLength = bitLength * 256 + lengthBytes[j].out;
+    }
+    bitLength === 8 * (prefixLength + length);
+
+    // Compress every block from the midstate and keep the state after block numBlocks - 1
+    component compress[maxBlocks];
+    for (var b = 0; b < maxBlocks; b++) {
+        compress[b] = Sha256compression();
+        for (var w = 0; w < 8; w++) {
+            for (var k = 0; k < 32; k++) {
+                // hin takes each 32-bit word least significant bit first; digests are most significant first
+                if (b == 0) {
+                    compress[b].hin[32 * w + k] <== midstate[32 * w + 31 - k];
+                } else {
+                    compress[b].hin[32 * w + k] <== compress[b - 1].out[32 * w + 31 - k];
+                }
+            }
+        }
+        for (var i = 0; i < 64; i++) {
+            for (var k = 0; k < 8; k++) {
+                compress[b].inp[8 * i + 7 - k] <== dataBits[64 * b + i].out[k];
+            }
+        }
+    }
+
+    // The multiplexer also constrains 1 <= numBlocks <= maxBlocks
+    component selectDigest = Multiplexer(256, maxBlocks);
+    for (var b = 0; b < maxBlocks; b++) {
+        for (var k = 0; k < 256; k++) {
+            selectDigest.inp[b][k] <== compress[b].out[k];
+        }
+    }
+    selectDigest.sel <== numBlocks - 1;
+    for (var k = 0; k < 256; k++) {
+        digest[k] <== selectDigest.out[k];
+    }
+}
+
+template Sha256InitialState() {
+    // SHA-256 initial hash value (FIPS 180-4, section 5.3.3) as a midstate, most significant bit first
+    signal output out[256];
+
+    var iv[8] = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    for (var w = 0; w < 8; w++) {
+        for (var b = 0; b < 32; b++) {
+            out[32 * w + b] <== (iv[w] >> (31 - b)) & 1;
+        }
+    }
+}
+
+template PKCS1SHA256Message(n, k) {
+    // EMSA-PKCS1-v1_5 message integer for a SHA-256 digest: encodingPrefix is the public
+    // encoding (00 01 FF..FF 00 DigestInfo) for the signer's modulus length with the low
+    // 256 bits zero, and the digest fills them
+    signal input encodingPrefix[k];
+    signal input digest[256];
+    signal output message[k];
+
+    for (var j = 0; j < k; j++) {
+        // Digest bit t of the integer (t = 0 is least significant) is digest[255 - t]
+        var digestPart = 0;
+        for (var t = n * j; t < n * j + n && t < 256; t++) {
+            digestPart += digest[255 - t] * (1 << (t - n * j));
+        }
+        message[j] <== encodingPrefix[j] + digestPart;
+    }
+}
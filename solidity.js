@@ -0,0 +1,169 @@
+const snarkjs = require("snarkjs");
+const fs = require("fs");
+const path = require("path");
+
+// Public signals that describe the group rather than the statement: the key list (e and N in the RSA
+// circuits, keys or pubkeys in the curve circuits, caE and caN in the certificate circuit) or its
+// Merkle root. The membership contract takes them from a key set committed in advance.
+const KEY_SET_SIGNALS = ["e", "N", "keys", "pubkeys", "caE", "caN", "root"];
+
+// How each snarkjs verifier contract takes its proof; the membership contract receives the proof
+// ABI-encoded as these types and decodes it for the verifier
+const VERIFIER_CONTRACTS = {
+    groth16: { name: "Groth16Verifier", proofTypes: ["uint256[2]", "uint256[2][2]", "uint256[2]"] },
+    plonk: { name: "PlonkVerifier", proofTypes: ["uint256[24]"] },
+    fflonk: { name: "FflonkVerifier", proofTypes: ["bytes32[24]"] }
+};
+
+// Contract files for a circuit's keys in one proving system, named like its verification key
+function solidityFiles(circuitName, protocol) {
+    const suffix = protocol === "groth16" ? "" : `_${protocol}`;
+    return {
+        verifier: `verifier_${circuitName}${suffix}.sol`,
+        membership: `membership_${circuitName}${suffix}.sol`
+    };
+}
+
+function getKeySetLayout(manifest) {
+    /**
+     * Where the key-set signals are among a circuit's public signals (see KEY_SET_SIGNALS)
+     *
+     * Returns:
+     *     object: {offset, count, total}; publicSignals[offset .. offset + count) is the key set
+     */
+    let offset = -1;
+    let count = 0;
+    let total = 0;
+    for (const signal of manifest.publicSignals) {
+        if (KEY_SET_SIGNALS.includes(signal.name)) {
+            if (offset !== -1 && offset + count !== total) {
+                throw new Error(`The key-set signals of ${manifest.name} are not next to each other`);
+            }
+            if (offset === -1) {
+                offset = total;
+            }
+            count += signal.length;
+        }
+        total += signal.length;
+    }
+    if (offset === -1) {
+        throw new Error(`${manifest.name} has no key-set signals (${KEY_SET_SIGNALS.join(", ")})`);
+    }
+    return { offset, count, total };
+}
+
+// snarkjs's verifier contract for a zkey, from the templates shipped with snarkjs. The PLONK
+// template imports hardhat's console.sol without using it, which only compiles inside hardhat
+async function exportVerifierContract(zkeyFile) {
+    const templateDir = path.join(path.dirname(require.resolve("snarkjs")), "..", "templates");
+    const templates = {};
+    for (const protocol of Object.keys(VERIFIER_CONTRACTS)) {
+        templates[protocol] = fs.readFileSync(path.join(templateDir, `verifier_${protocol}.sol.ejs`), "utf8")
+            .replace(/^import "hardhat\/console\.sol";\n/m, "");
+    }
+    return await snarkjs.zKey.exportSolidityVerifier(zkeyFile, templates);
+}
+
+function buildMembershipContract(manifest, protocol) {
+    /**
+     * Source of the membership contract for a circuit's verifier. Key sets are committed once
+     * (commitKeySet stores their signals under the keccak256 of the packed signals); a proof is then
+     * checked with the hash and the remaining public signals, and the contract rebuilds the full
+     * signal vector in circuit order the way verifySSHProof does in app.js.
+     */
+    const verifier = VERIFIER_CONTRACTS[protocol];
+    const { offset, count, total } = getKeySetLayout(manifest);
+    const proofParams = verifier.proofTypes.map((type, i) => `${type} calldata proof${i}`).join(", ");
+    const proofVars = verifier.proofTypes.map((type, i) => `${type} memory proof${i}`).join(", ");
+    const proofArgs = verifier.proofTypes.map((type, i) => `proof${i}`).join(", ");
+    const layout = manifest.publicSignals.map(signal => `${signal.name}[${signal.length}]`).join(", ");
+    return `// SPDX-License-Identifier: GPL-3.0
+// Generated by setup.js for ${manifest.name} (${protocol}): checks group membership proofs against a
+// committed key set, with the verifier contract in ${solidityFiles(manifest.name, protocol).verifier}
+
+pragma solidity ^0.8.4;
+
+interface I${verifier.name} {
+    function verifyProof(${proofParams}, uint256[${total}] calldata pubSignals) external view returns (bool);
+}
+
+contract MembershipVerifier {
+    // Public signals: ${layout}
+    uint256 public constant PUBLIC_SIGNALS = ${total};
+    uint256 public constant KEY_SET_OFFSET = ${offset};
+    uint256 public constant KEY_SET_SIGNALS = ${count};
+
+    I${verifier.name} public immutable verifier;
+    mapping(bytes32 => uint256[]) private keySets;
+
+    event KeySetCommitted(bytes32 indexed keySetHash);
+
+    constructor(I${verifier.name} verifierContract) {
+        verifier = verifierContract;
+    }
+
+    // Store a key set's signals; keccak256(abi.encodePacked(keySignals)) names it from then on
+    function commitKeySet(uint256[] calldata keySignals) external returns (bytes32 keySetHash) {
+        require(keySignals.length == KEY_SET_SIGNALS, "wrong number of key-set signals");
+        keySetHash = keccak256(abi.encodePacked(keySignals));
+        if (keySets[keySetHash].length == 0) {
+            keySets[keySetHash] = keySignals;
+            emit KeySetCommitted(keySetHash);
+        }
+    }
+
+    function isKeySetCommitted(bytes32 keySetHash) external view returns (bool) {
+        return keySets[keySetHash].length == KEY_SET_SIGNALS;
+    }
+
+    // proof is abi.encode(${verifier.proofTypes.join(", ")}); signals are the public signals
+    // without the key set, in circuit order
+    function verifyMembership(bytes calldata proof, bytes32 keySetHash, uint256[] calldata signals) external view returns (bool) {
+        uint256[] storage keySignals = keySets[keySetHash];
+        require(keySignals.length == KEY_SET_SIGNALS, "key set not committed");
+        require(signals.length == PUBLIC_SIGNALS - KEY_SET_SIGNALS, "wrong number of signals");
+
+        uint256[PUBLIC_SIGNALS] memory pubSignals;
+        for (uint256 i = 0; i < KEY_SET_OFFSET; i++) {
+            pubSignals[i] = signals[i];
+        }
+        for (uint256 i = 0; i < KEY_SET_SIGNALS; i++) {
+            pubSignals[KEY_SET_OFFSET + i] = keySignals[i];
+        }
+        for (uint256 i = KEY_SET_OFFSET; i < signals.length; i++) {
+            pubSignals[KEY_SET_SIGNALS + i] = signals[i];
+        }
+
+        (${proofVars}) = abi.decode(proof, (${verifier.proofTypes.join(", ")}));
+        return verifier.verifyProof(${proofArgs}, pubSignals);
+    }
+}
+`;
+}
+
+async function writeSolidityContracts(manifest, protocol, zkeyFile) {
+    /**
+     * Write a circuit's verifier and membership contracts for one proving system. A Groth16
+     * verifier embeds the zkey's verifying key, so it is only written once the manifest records a
+     * verified ceremony (ceremony.js verify passes its final zkey).
+     *
+     * Returns:
+     *     object: {verifier, membership} file paths
+     */
+    if (protocol === "groth16" && !manifest.protocols.groth16.ceremony) {
+        throw new Error(`${manifest.name} has no verified Groth16 ceremony; its contracts come from node ceremony.js verify ${manifest.name} --solidity`);
+    }
+    const files = solidityFiles(manifest.name, protocol);
+    fs.writeFileSync(files.verifier, await exportVerifierContract(zkeyFile));
+    fs.writeFileSync(files.membership, buildMembershipContract(manifest, protocol));
+    return files;
+}
+
+module.exports = {
+    KEY_SET_SIGNALS,
+    VERIFIER_CONTRACTS,
+    solidityFiles,
+    getKeySetLayout,
+    buildMembershipContract,
+    writeSolidityContracts
+};
@@ -0,0 +1,110 @@
+const net = require("net");
+const { createSSHReader, concatUint8Arrays, encodeSSHString, encodeSSHUint32, getSSHKeyBlobType, armorSSHPublicKey, decodeSSHSignatureBlob } = require("./ssh_wire");
+
+// Agent protocol messages and flags (draft-miller-ssh-agent, PROTOCOL.agent in the OpenSSH sources)
+const SSH_AGENT_FAILURE = 5;
+const SSH_AGENTC_REQUEST_IDENTITIES = 11;
+const SSH_AGENT_IDENTITIES_ANSWER = 12;
+const SSH_AGENTC_SIGN_REQUEST = 13;
+const SSH_AGENT_SIGN_RESPONSE = 14;
+const SSH_AGENT_RSA_SHA2_256 = 2;
+const SSH_AGENT_RSA_SHA2_512 = 4;
+
+// Sign request flags for each RSA signature algorithm; other key types sign with flags 0
+const RSA_SIGNATURE_FLAGS = {
+    'rsa-sha2-256': SSH_AGENT_RSA_SHA2_256,
+    'rsa-sha2-512': SSH_AGENT_RSA_SHA2_512
+};
+
+// Send one request to the agent and resolve with a reader over its response
+function agentRequest(socketPath, request) {
+    return new Promise((resolve, reject) => {
+        if (!socketPath) {
+            reject(new Error("No ssh-agent socket: SSH_AUTH_SOCK is not set"));
+            return;
+        }
+        
+        const socket = net.createConnection(socketPath);
+        let received = Buffer.alloc(0);
+        socket.on("connect", () => socket.write(encodeSSHString(request)));
+        socket.on("data", chunk => {
+            received = Buffer.concat([received, chunk]);
+            if (received.length >= 4 && received.length >= 4 + received.readUInt32BE(0)) {
+                socket.end();
+                resolve(createSSHReader(new Uint8Array(received.subarray(4, 4 + received.readUInt32BE(0))), "ssh-agent message"));
+            }
+        });
+        socket.on("error", error => reject(new Error(`ssh-agent at ${socketPath}: ${error.message}`)));
+        socket.on("close", () => reject(new Error("ssh-agent closed the connection before answering")));
+    });
+}
+
+async function requestIdentities(socketPath = process.env.SSH_AUTH_SOCK) {
+    /**
+     * List the keys the agent holds (SSH_AGENTC_REQUEST_IDENTITIES)
+     *
+     * Returns:
+     *     array: [{keyBlob, publicKey, comment}], publicKey as an "<type> <base64>" line
+     */
+    const response = await agentRequest(socketPath, new Uint8Array([SSH_AGENTC_REQUEST_IDENTITIES]));
+    const type = response.readByte();
+    if (type !== SSH_AGENT_IDENTITIES_ANSWER) {
+        throw new Error(`ssh-agent refused to list its keys (message type ${type})`);
+    }
+    
+    const identities = [];
+    for (let count = response.readUint32(); count > 0; count--) {
+        const keyBlob = response.readString();
+        const comment = response.readText();
+        identities.push({
+            keyBlob: keyBlob,
+            publicKey: armorSSHPublicKey(keyBlob),
+            comment: comment
+        });
+    }
+    return identities;
+}
+
+async function agentSign(keyBlob, data, signatureAlgorithm, socketPath = process.env.SSH_AUTH_SOCK) {
+    /**
+     * Have the agent sign data with one of its keys (SSH_AGENTC_SIGN_REQUEST)
+     *
+     * Args:
+     *     keyBlob: the key's wire encoding, from requestIdentities
+     *     data: bytes to sign
+     *     signatureAlgorithm: for ssh-rsa keys, "rsa-sha2-256" or "rsa-sha2-512"; ignored otherwise
+     *
+     * Returns:
+     *     Uint8Array: the signature encoding (string algorithm, string signature)
+     */
+    const keyType = getSSHKeyBlobType(keyBlob);
+    let flags = 0;
+    if (keyType === "ssh-rsa") {
+        flags = RSA_SIGNATURE_FLAGS[signatureAlgorithm];
+        if (!flags) {
+            throw new Error(`Unsupported RSA signature algorithm ${signatureAlgorithm} (expected rsa-sha2-256 or rsa-sha2-512)`);
+        }
+    }
+    
+    const request = concatUint8Arrays([new Uint8Array([SSH_AGENTC_SIGN_REQUEST]), encodeSSHString(keyBlob), encodeSSHString(data), encodeSSHUint32(flags)]);
+    const response = await agentRequest(socketPath, request);
+    const type = response.readByte();
+    if (type === SSH_AGENT_FAILURE) {
+        throw new Error("ssh-agent refused to sign (is the key still loaded, or does it need confirmation?)");
+    }
+    if (type !== SSH_AGENT_SIGN_RESPONSE) {
+        throw new Error(`Unexpected ssh-agent answer to a sign request (message type ${type})`);
+    }
+    
+    const signatureBlob = response.readString();
+    const algorithm = decodeSSHSignatureBlob(signatureBlob).algorithm;
+    if (keyType === "ssh-rsa" && algorithm !== signatureAlgorithm) {
+        throw new Error(`ssh-agent signed with ${algorithm} instead of ${signatureAlgorithm}`);
+    }
+    return signatureBlob;
+}
+
+module.exports = {
+    requestIdentities,
+    agentSign
+};
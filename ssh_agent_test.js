@@ -0,0 +1,238 @@
+const net = require("net");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const assert = require("assert");
+const { requestIdentities, agentSign } = require("./ssh_agent");
+const { createSSHReader, concatUint8Arrays, bytesToBigInt, encodeSSHUint32, encodeSSHString, encodeSSHPublicKeyBlob, encodeSSHSignatureBlob, decodeSSHSignatureBlob } = require("./ssh_wire");
+
+// Checks the ssh-agent client in ssh_agent.js against a fake agent on a temporary Unix socket:
+// listing keys (IDENTITIES_ANSWER), signing (SIGN_RESPONSE), refusals (FAILURE), and answers that
+// reach the client split across reads or cut short. Needs no ssh-agent and no network.
+
+const SSH_AGENT_FAILURE = 5;
+const SSH_AGENTC_REQUEST_IDENTITIES = 11;
+const SSH_AGENT_IDENTITIES_ANSWER = 12;
+const SSH_AGENTC_SIGN_REQUEST = 13;
+const SSH_AGENT_SIGN_RESPONSE = 14;
+
+// Pause between the chunks of a split answer, long enough for the client to read them separately
+const CHUNK_DELAY_MS = 25;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Keys the fake agent holds: node crypto key pairs with their SSH wire encodings
+function createTestKeys() {
+    const rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const rsaJwk = rsa.publicKey.export({ format: "jwk" });
+    const ed25519 = crypto.generateKeyPairSync("ed25519");
+    const ed25519Jwk = ed25519.publicKey.export({ format: "jwk" });
+    return [
+        {
+            ...rsa,
+            comment: "rsa@fake-agent",
+            keyBlob: encodeSSHPublicKeyBlob({
+                keyType: "ssh-rsa",
+                exponent: bytesToBigInt(new Uint8Array(Buffer.from(rsaJwk.e, "base64url"))),
+                modulus: bytesToBigInt(new Uint8Array(Buffer.from(rsaJwk.n, "base64url")))
+            })
+        },
+        {
+            ...ed25519,
+            comment: "ed25519@fake-agent",
+            keyBlob: encodeSSHPublicKeyBlob({ keyType: "ssh-ed25519", publicKeyBytes: new Uint8Array(Buffer.from(ed25519Jwk.x, "base64url")) })
+        }
+    ];
+}
+
+function startFakeAgent() {
+    /**
+     * Listen on a temporary socket like ssh-agent. Each connection sends one request; the agent
+     * records it and writes back agent.answer(request), a list of byte chunks written one at a
+     * time, then closes the connection.
+     *
+     * Returns:
+     *     Promise<object>: {socketPath, requests, answer, close}; set answer before each request
+     */
+    const socketPath = path.join(os.tmpdir(), `ssh_agent_test_${process.pid}.sock`);
+    fs.rmSync(socketPath, { force: true });
+    const agent = { socketPath, requests: [], answer: null };
+    const server = net.createServer(connection => {
+        let received = Buffer.alloc(0);
+        connection.on("data", async chunk => {
+            received = Buffer.concat([received, chunk]);
+            if (received.length < 4 || received.length < 4 + received.readUInt32BE(0)) {
+                return;
+            }
+            const request = new Uint8Array(received.subarray(4, 4 + received.readUInt32BE(0)));
+            agent.requests.push(request);
+            const chunks = agent.answer(request);
+            for (let i = 0; i < chunks.length; i++) {
+                if (i > 0) {
+                    await delay(CHUNK_DELAY_MS);
+                }
+                connection.write(chunks[i]);
+            }
+            connection.end();
+        });
+        connection.on("error", () => {});
+    });
+    agent.close = () => new Promise(resolve => server.close(() => {
+        fs.rmSync(socketPath, { force: true });
+        resolve();
+    }));
+    return new Promise((resolve, reject) => {
+        server.on("error", reject);
+        server.listen(socketPath, () => resolve(agent));
+    });
+}
+
+// An agent message with its uint32 length, as it goes over the socket
+function frame(...fields) {
+    return encodeSSHString(concatUint8Arrays(fields));
+}
+
+// Cut bytes at the given offsets: splitBytes(b, [4, 5]) gives b[0..4), b[4..5), b[5..]
+function splitBytes(bytes, offsets) {
+    return [0, ...offsets].map((start, i) => bytes.subarray(start, i < offsets.length ? offsets[i] : bytes.length));
+}
+
+function identitiesAnswer(keys) {
+    return frame(
+        new Uint8Array([SSH_AGENT_IDENTITIES_ANSWER]),
+        encodeSSHUint32(keys.length),
+        ...keys.flatMap(key => [encodeSSHString(key.keyBlob), encodeSSHString(key.comment)])
+    );
+}
+
+// Answer a sign request the way ssh-agent does, with the algorithm the flags ask for
+function signAnswer(keys, request) {
+    const reader = createSSHReader(request, "sign request");
+    assert.strictEqual(reader.readByte(), SSH_AGENTC_SIGN_REQUEST);
+    const keyBlob = reader.readString();
+    const data = reader.readString();
+    const flags = reader.readUint32();
+    const key = keys.find(candidate => Buffer.from(candidate.keyBlob).equals(Buffer.from(keyBlob)));
+    if (!key) {
+        return [frame(new Uint8Array([SSH_AGENT_FAILURE]))];
+    }
+    let signatureBlob;
+    if (key.comment.startsWith("rsa")) {
+        const algorithm = flags & 4 ? "rsa-sha2-512" : flags & 2 ? "rsa-sha2-256" : "ssh-rsa";
+        const hash = { "rsa-sha2-512": "sha512", "rsa-sha2-256": "sha256", "ssh-rsa": "sha1" }[algorithm];
+        signatureBlob = encodeSSHSignatureBlob(algorithm, new Uint8Array(crypto.sign(hash, data, key.privateKey)));
+    } else {
+        signatureBlob = encodeSSHSignatureBlob("ssh-ed25519", new Uint8Array(crypto.sign(null, data, key.privateKey)));
+    }
+    return [frame(new Uint8Array([SSH_AGENT_SIGN_RESPONSE]), encodeSSHString(signatureBlob))];
+}
+
+async function expectRejection(promise, pattern) {
+    try {
+        await promise;
+    } catch (error) {
+        assert.match(error.message, pattern);
+        return;
+    }
+    assert.fail(`expected an error matching ${pattern}`);
+}
+
+function checkIdentities(identities, keys) {
+    assert.strictEqual(identities.length, keys.length);
+    identities.forEach((identity, i) => {
+        assert.deepStrictEqual(identity.keyBlob, keys[i].keyBlob);
+        assert.strictEqual(identity.publicKey.split(" ")[1], Buffer.from(keys[i].keyBlob).toString("base64"));
+        assert.strictEqual(identity.comment, keys[i].comment);
+    });
+}
+
+// Each check sets how the agent answers, then runs the client against it
+function defineChecks(agent, keys) {
+    const [rsaKey, ed25519Key] = keys;
+    const data = new TextEncoder().encode("data to sign");
+    return [
+        ["IDENTITIES_ANSWER lists every key with its comment", async () => {
+            agent.answer = () => [identitiesAnswer(keys)];
+            checkIdentities(await requestIdentities(agent.socketPath), keys);
+            assert.deepStrictEqual(agent.requests[agent.requests.length - 1], new Uint8Array([SSH_AGENTC_REQUEST_IDENTITIES]));
+        }],
+        ["SIGN_RESPONSE with rsa-sha2-512 and rsa-sha2-256", async () => {
+            agent.answer = request => signAnswer(keys, request);
+            for (const [algorithm, hash, flags] of [["rsa-sha2-512", "sha512", 4], ["rsa-sha2-256", "sha256", 2]]) {
+                const signature = decodeSSHSignatureBlob(await agentSign(rsaKey.keyBlob, data, algorithm, agent.socketPath));
+                assert.strictEqual(signature.algorithm, algorithm);
+                assert.ok(crypto.verify(hash, data, rsaKey.publicKey, signature.signature), `${algorithm} signature does not verify`);
+                const request = agent.requests[agent.requests.length - 1];
+                assert.strictEqual(Buffer.from(request.subarray(request.length - 4)).readUInt32BE(0), flags);
+            }
+        }],
+        ["SIGN_RESPONSE with ssh-ed25519", async () => {
+            agent.answer = request => signAnswer(keys, request);
+            const signature = decodeSSHSignatureBlob(await agentSign(ed25519Key.keyBlob, data, "rsa-sha2-512", agent.socketPath));
+            assert.strictEqual(signature.algorithm, "ssh-ed25519");
+            assert.ok(crypto.verify(null, data, ed25519Key.publicKey, signature.signature), "ssh-ed25519 signature does not verify");
+        }],
+        ["SIGN_RESPONSE in a weaker algorithm than requested is refused", async () => {
+            agent.answer = () => [frame(new Uint8Array([SSH_AGENT_SIGN_RESPONSE]), encodeSSHString(encodeSSHSignatureBlob("ssh-rsa", new Uint8Array(256))))];
+            await expectRejection(agentSign(rsaKey.keyBlob, data, "rsa-sha2-512", agent.socketPath), /signed with ssh-rsa instead of rsa-sha2-512/);
+        }],
+        ["FAILURE to a sign request or a key listing", async () => {
+            agent.answer = () => [frame(new Uint8Array([SSH_AGENT_FAILURE]))];
+            await expectRejection(agentSign(rsaKey.keyBlob, data, "rsa-sha2-512", agent.socketPath), /refused to sign/);
+            await expectRejection(requestIdentities(agent.socketPath), /refused to list its keys \(message type 5\)/);
+        }],
+        ["Answer split across reads, inside the length and inside a key", async () => {
+            agent.answer = () => splitBytes(identitiesAnswer(keys), [2, 4, 5, 40]);
+            checkIdentities(await requestIdentities(agent.socketPath), keys);
+            agent.answer = request => splitBytes(signAnswer(keys, request)[0], [1, 20]);
+            const signature = decodeSSHSignatureBlob(await agentSign(rsaKey.keyBlob, data, "rsa-sha2-512", agent.socketPath));
+            assert.ok(crypto.verify("sha512", data, rsaKey.publicKey, signature.signature), "split signature does not verify");
+        }],
+        ["Short read: the agent closes before the answer is complete", async () => {
+            agent.answer = () => [identitiesAnswer(keys).subarray(0, 30)];
+            await expectRejection(requestIdentities(agent.socketPath), /closed the connection before answering/);
+            agent.answer = () => [new Uint8Array([0, 0])];
+            await expectRejection(agentSign(rsaKey.keyBlob, data, "rsa-sha2-512", agent.socketPath), /closed the connection before answering/);
+        }],
+        ["No socket", async () => {
+            await expectRejection(requestIdentities(undefined), /SSH_AUTH_SOCK is not set/);
+            await expectRejection(requestIdentities(`${agent.socketPath}.missing`), /ssh-agent at /);
+        }]
+    ];
+}
+
+async function main() {
+    console.log("🔑 Generating test keys...");
+    const keys = createTestKeys();
+    const agent = await startFakeAgent();
+    console.log(`🕵️ Fake ssh-agent on ${agent.socketPath}`);
+    
+    const failures = [];
+    const checks = defineChecks(agent, keys);
+    try {
+        for (const [name, run] of checks) {
+            try {
+                await run();
+                console.log(`✅ ${name}`);
+            } catch (error) {
+                console.log(`❌ ${name}: ${error.message}`);
+                failures.push(name);
+            }
+        }
+    } finally {
+        await agent.close();
+    }
+    
+    if (failures.length > 0) {
+        throw new Error(`${failures.length} of ${checks.length} ssh-agent checks failed`);
+    }
+    console.log(`\n✅ All ${checks.length} ssh-agent checks passed`);
+}
+
+if (require.main === module) {
+    main().then(() => process.exit(0)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
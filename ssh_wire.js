@@ -0,0 +1,330 @@
+// SSH wire format (RFC 4251, section 5): the byte, uint32, uint64, string, mpint and name-list
+// types every OpenSSH format is built from, and the text armor around SSHSIG signatures and
+// public keys. index.html loads this before app.js; the Node tools require it.
+
+function base64ToUint8Array(base64) {
+    const binaryString = atob(base64);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function uint8ArrayToBase64(bytes) {
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binaryString += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binaryString);
+}
+
+function concatUint8Arrays(arrays) {
+    const totalLength = arrays.reduce((sum, arr) => sum + arr.length, 0);
+    const result = new Uint8Array(totalLength);
+    let offset = 0;
+    for (const arr of arrays) {
+        result.set(arr, offset);
+        offset += arr.length;
+    }
+    return result;
+}
+
+// Big-endian bytes of a non-negative integer, left-padded to length bytes
+function bigIntToBytes(value, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = Number(value & 0xffn);
+        value >>= 8n;
+    }
+    return bytes;
+}
+
+function bytesToBigInt(bytes) {
+    let result = BigInt(0);
+    for (let i = 0; i < bytes.length; i++) {
+        result = (result << BigInt(8)) + BigInt(bytes[i]);
+    }
+    return result;
+}
+
+function createSSHReader(bytes, description = 'SSH data') {
+    /**
+     * Sequential reader for wire-format data. Every read checks the remaining length, so
+     * truncated or corrupt input fails with an error naming the description.
+     *
+     * Args:
+     *     bytes: Uint8Array to read (not copied)
+     *     description: what the bytes are, for error messages (e.g. "SSH signature")
+     *
+     * Returns:
+     *     object: {offset, remaining, readByte, readBytes, readUint32, readUint64, readString,
+     *              readText, readMpint, readNameList, expectEnd}
+     */
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    const need = (length, what) => {
+        if (offset + length > bytes.length) {
+            throw new Error(`Truncated ${description}: cannot read ${what} at offset ${offset}, data length is ${bytes.length}`);
+        }
+    };
+    
+    const reader = {
+        get offset() {
+            return offset;
+        },
+        remaining: () => bytes.length - offset,
+        readByte: () => {
+            need(1, 'a byte');
+            return bytes[offset++];
+        },
+        readBytes: length => {
+            need(length, `${length} bytes`);
+            offset += length;
+            return bytes.slice(offset - length, offset);
+        },
+        readUint32: () => {
+            need(4, 'a uint32');
+            offset += 4;
+            return view.getUint32(offset - 4, false);
+        },
+        // uint64 values (serials, timestamps) are returned as BigInts
+        readUint64: () => {
+            need(8, 'a uint64');
+            offset += 8;
+            return view.getBigUint64(offset - 8, false);
+        },
+        readString: () => {
+            const length = reader.readUint32();
+            need(length, `a ${length}-byte string`);
+            offset += length;
+            return bytes.slice(offset - length, offset);
+        },
+        readText: () => new TextDecoder().decode(reader.readString()),
+        // Non-negative mpints only; leading zero bytes are accepted, as OpenSSH does
+        readMpint: () => {
+            const data = reader.readString();
+            if (data.length > 0 && data[0] & 0x80) {
+                throw new Error(`Negative mpint in ${description} at offset ${offset - data.length - 4}`);
+            }
+            return bytesToBigInt(data);
+        },
+        readNameList: () => {
+            const text = reader.readText();
+            return text === '' ? [] : text.split(',');
+        },
+        expectEnd: () => {
+            if (offset !== bytes.length) {
+                throw new Error(`Unexpected ${bytes.length - offset} bytes at the end of ${description}`);
+            }
+        }
+    };
+    return reader;
+}
+
+function encodeSSHUint32(value) {
+    const result = new Uint8Array(4);
+    new DataView(result.buffer).setUint32(0, value, false);
+    return result;
+}
+
+function encodeSSHUint64(value) {
+    return bigIntToBytes(BigInt(value), 8);
+}
+
+// Encode bytes as an SSH "string" (uint32 big-endian length followed by the data)
+function encodeSSHString(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    return concatUint8Arrays([encodeSSHUint32(bytes.length), bytes]);
+}
+
+// Minimal two's-complement encoding of a non-negative integer
+function encodeSSHMpint(value) {
+    if (value < 0n) {
+        throw new Error('Cannot encode a negative mpint');
+    }
+    let hex = value === 0n ? '' : value.toString(16);
+    if (hex.length % 2 === 1) {
+        hex = '0' + hex;
+    }
+    if (hex && parseInt(hex.slice(0, 2), 16) & 0x80) {
+        hex = '00' + hex; // keep the value positive
+    }
+    return encodeSSHString(bigIntToBytes(value, hex.length / 2));
+}
+
+function encodeSSHNameList(names) {
+    return encodeSSHString(names.join(','));
+}
+
+// Public key blobs: string key type, then the type's fields (RFC 4253 section 6.6, RFC 8709, RFC 5656)
+const SSH_PUBLIC_KEY_FIELDS = {
+    'ssh-rsa': (reader) => ({ exponent: reader.readMpint(), modulus: reader.readMpint() }),
+    'ssh-ed25519': (reader) => ({ publicKeyBytes: reader.readString() }),
+    'ecdsa-sha2-nistp256': (reader) => ({ curve: reader.readText(), publicKeyBytes: reader.readString() })
+};
+
+// Key type a public key blob starts with
+function getSSHKeyBlobType(blob) {
+    return createSSHReader(blob, 'SSH public key').readText();
+}
+
+function decodeSSHPublicKeyBlob(blob) {
+    /**
+     * Returns:
+     *     ssh-rsa: {keyType, exponent, modulus}
+     *     ssh-ed25519: {keyType, publicKeyBytes}
+     *     ecdsa-sha2-nistp256: {keyType, curve, publicKeyBytes}
+     */
+    const reader = createSSHReader(blob, 'SSH public key');
+    const keyType = reader.readText();
+    const readFields = SSH_PUBLIC_KEY_FIELDS[keyType];
+    if (!readFields) {
+        throw new Error(`Unsupported SSH public key type ${keyType}`);
+    }
+    const key = { keyType, ...readFields(reader) };
+    reader.expectEnd();
+    return key;
+}
+
+function encodeSSHPublicKeyBlob(key) {
+    const fields = [encodeSSHString(key.keyType)];
+    if (key.keyType === 'ssh-rsa') {
+        fields.push(encodeSSHMpint(key.exponent), encodeSSHMpint(key.modulus));
+    } else if (key.keyType === 'ssh-ed25519') {
+        fields.push(encodeSSHString(key.publicKeyBytes));
+    } else if (key.keyType === 'ecdsa-sha2-nistp256') {
+        fields.push(encodeSSHString(key.curve || 'nistp256'), encodeSSHString(key.publicKeyBytes));
+    } else {
+        throw new Error(`Unsupported SSH public key type ${key.keyType}`);
+    }
+    return concatUint8Arrays(fields);
+}
+
+// Signature blobs: string algorithm, string signature (its format depends on the algorithm)
+function decodeSSHSignatureBlob(blob) {
+    const reader = createSSHReader(blob, 'SSH signature blob');
+    const algorithm = reader.readText();
+    const signature = reader.readString();
+    reader.expectEnd();
+    return { algorithm, signature };
+}
+
+function encodeSSHSignatureBlob(algorithm, signature) {
+    return concatUint8Arrays([encodeSSHString(algorithm), encodeSSHString(signature)]);
+}
+
+function decodeSSHSIG(blob) {
+    /**
+     * Decode an SSHSIG signature (PROTOCOL.sshsig):
+     *
+     *     byte[6]  MAGIC_PREAMBLE ("SSHSIG")
+     *     uint32   SIG_VERSION
+     *     string   publickey
+     *     string   namespace
+     *     string   reserved
+     *     string   hash_algorithm
+     *     string   signature
+     *
+     * Returns:
+     *     object: {version, publicKey, namespace, reserved, hashAlgorithm, signature}
+     *     publicKey and signature are the key and signature blobs; reserved is kept as bytes
+     */
+    const reader = createSSHReader(blob, 'SSH signature');
+    const magic = new TextDecoder().decode(reader.readBytes(Math.min(6, blob.length)));
+    if (magic !== 'SSHSIG') {
+        throw new Error(`Invalid SSH signature magic: expected 'SSHSIG', got '${magic}'`);
+    }
+    const sshsig = {
+        version: reader.readUint32(),
+        publicKey: reader.readString(),
+        namespace: reader.readText(),
+        reserved: reader.readString(),
+        hashAlgorithm: reader.readText(),
+        signature: reader.readString()
+    };
+    reader.expectEnd();
+    return sshsig;
+}
+
+function encodeSSHSIG(sshsig) {
+    return concatUint8Arrays([
+        new TextEncoder().encode('SSHSIG'),
+        encodeSSHUint32(sshsig.version === undefined ? 1 : sshsig.version),
+        encodeSSHString(sshsig.publicKey),
+        encodeSSHString(sshsig.namespace),
+        encodeSSHString(sshsig.reserved || new Uint8Array(0)),
+        encodeSSHString(sshsig.hashAlgorithm),
+        encodeSSHString(sshsig.signature)
+    ]);
+}
+
+// Armored SSHSIG text as ssh-keygen -Y sign writes it: base64 wrapped at 70 characters
+function armorSSHSignature(blob) {
+    const lines = uint8ArrayToBase64(blob).match(/.{1,70}/g);
+    return ['-----BEGIN SSH SIGNATURE-----', ...lines, '-----END SSH SIGNATURE-----'].join('\n') + '\n';
+}
+
+function unarmorSSHSignature(text) {
+    const startMarker = '-----BEGIN SSH SIGNATURE-----';
+    const endMarker = '-----END SSH SIGNATURE-----';
+    const startIdx = text.indexOf(startMarker);
+    const endIdx = text.indexOf(endMarker);
+    if (startIdx === -1 || endIdx === -1 || endIdx < startIdx) {
+        throw new Error('Invalid SSH signature file format');
+    }
+    return base64ToUint8Array(text.substring(startIdx + startMarker.length, endIdx).replace(/\s+/g, ''));
+}
+
+// "<type> <base64>[ comment]" public key line (the .pub and authorized_keys format)
+function armorSSHPublicKey(blob, comment = '') {
+    const line = `${getSSHKeyBlobType(blob)} ${uint8ArrayToBase64(blob)}`;
+    return comment ? `${line} ${comment}` : line;
+}
+
+function unarmorSSHPublicKey(line) {
+    /**
+     * Split a public key line into its blob and comment, checking that the type in front
+     * matches the type inside the blob.
+     *
+     * Returns:
+     *     object: {keyType, blob, comment}
+     */
+    const match = line.trim().match(/^(\S+)\s+(\S+)(?:\s+(.*))?$/);
+    if (!match) {
+        throw new Error('Invalid SSH public key format');
+    }
+    const blob = base64ToUint8Array(match[2]);
+    const blobType = getSSHKeyBlobType(blob);
+    if (blobType !== match[1]) {
+        throw new Error(`Invalid key type in data: ${blobType} (the line says ${match[1]})`);
+    }
+    return { keyType: match[1], blob: blob, comment: match[3] || '' };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        base64ToUint8Array,
+        uint8ArrayToBase64,
+        concatUint8Arrays,
+        bigIntToBytes,
+        bytesToBigInt,
+        createSSHReader,
+        encodeSSHUint32,
+        encodeSSHUint64,
+        encodeSSHString,
+        encodeSSHMpint,
+        encodeSSHNameList,
+        getSSHKeyBlobType,
+        decodeSSHPublicKeyBlob,
+        encodeSSHPublicKeyBlob,
+        decodeSSHSignatureBlob,
+        encodeSSHSignatureBlob,
+        decodeSSHSIG,
+        encodeSSHSIG,
+        armorSSHSignature,
+        unarmorSSHSignature,
+        armorSSHPublicKey,
+        unarmorSSHPublicKey
+    };
+}